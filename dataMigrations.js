@@ -0,0 +1,139 @@
+/**
+ * Upgrades data files written for older versions of this tool to the current
+ * format, one version at a time.
+ *
+ * Every data file names its format in the `version` key. When the format
+ * changes:
+ *   1. add the new version to the end of VERSIONS,
+ *   2. add a step to MIGRATIONS that turns data of the previous version into
+ *      data of the new one (without touching the version key),
+ *   3. update the schema in emailUpload.js.
+ */
+
+const jsonPatch = require("./jsonPatch");
+
+// Every format there has been, oldest first. The last one is what we read
+// and write.
+var VERSIONS = ["2019-04-01", "2026-10-18"];
+
+var CURRENT_VERSION = VERSIONS[VERSIONS.length - 1];
+
+// One step per format change:
+// {
+//   from: version the step reads
+//   to: the next version
+//   description: what changes, shown by the migrate command
+//   migrate: function(data) returning the upgraded data
+// }
+var MIGRATIONS = [
+    {
+        // `relations` may hold template fragments (and email fragments may
+        // have a promotional piece), which older tools would take for plain
+        // email fragments. Until then, every relation was an email fragment.
+        from: "2019-04-01",
+        to: "2026-10-18",
+        description: "every entry in relations names its type__v",
+        migrate: data => {
+            (data["relations"] || []).forEach(fragment => {
+                fragment["type__v"] = fragment["type__v"] || "Email Fragment";
+            });
+            return data;
+        }
+    }
+];
+
+/**
+ * Bring a data file up to the current format.
+ *
+ * @param object data - the parsed data file
+ * @param string source - where the data comes from, for error messages
+ *
+ * @return object
+ * {
+ *   data: the upgraded data (the input if it was current already)
+ *   from: version of the input
+ *   steps: array of the descriptions of the steps that were applied
+ * }
+ */
+var upgrade = function(data, source) {
+    var version = data && data["version"];
+    var index = VERSIONS.indexOf(version);
+
+    if (version === undefined || version === null) {
+        throw new Error(source + " has no \"version\", expected " + CURRENT_VERSION);
+    }
+    if (index === -1) {
+        // Versions are dates, so a later one comes from a newer tool.
+        var newer = String(version) > CURRENT_VERSION;
+        throw new Error(source + " has version " + JSON.stringify(version) + ", "
+            + (newer
+                ? "which is newer than this tool understands (up to " + CURRENT_VERSION + "). Update the tool"
+                : "which is not a known data file version (known: " + VERSIONS.join(", ") + ")"));
+    }
+
+    var upgraded = data;
+    var steps = [];
+    VERSIONS.slice(index + 1).forEach((to, offset) => {
+        var from = VERSIONS[index + offset];
+        var step = MIGRATIONS.find(migration => migration.from === from && migration.to === to);
+        if (!step) {
+            throw new Error("No migration from data file version " + from + " to " + to);
+        }
+        upgraded = Object.assign(step.migrate(JSON.parse(JSON.stringify(upgraded))), { version: to });
+        steps.push(from + " -> " + to + ": " + step.description);
+    });
+
+    return { data: upgraded, from: version, steps: steps };
+};
+
+var isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// The [path, value] pairs that turn `before` into `after`, as small as
+// jsonPatch.setValue() can make them: it can't remove a key, so an object
+// that lost one is replaced as a whole.
+var changes = function(before, after, path) {
+    path = path || [];
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+        return [];
+    }
+    if (isObject(before) && isObject(after) && Object.keys(before).every(key => after.hasOwnProperty(key))) {
+        return Object.keys(after).reduce((found, key) => found.concat(before.hasOwnProperty(key)
+            ? changes(before[key], after[key], path.concat(key))
+            : [[path.concat(key), after[key]]]), []);
+    }
+    if (Array.isArray(before) && Array.isArray(after) && before.length === after.length) {
+        return after.reduce((found, item, index) => found.concat(changes(before[index], item, path.concat(index))), []);
+    }
+    return [[path, after]];
+};
+
+/**
+ * Bring the text of a data file up to the current format, changing only the
+ * values the migrations change, so the file keeps its layout.
+ *
+ * @param string text - the data file's JSON
+ * @param string source - where the data comes from, for error messages
+ *
+ * @return object like upgrade()'s, with `text`: the upgraded JSON
+ */
+var upgradeText = function(text, source) {
+    var data = JSON.parse(text);
+    var result = upgrade(data, source);
+    var edits = changes(data, result.data);
+
+    if (edits.some(edit => edit[0].length === 0)) {
+        // Only the whole file could change; nothing to keep then.
+        result.text = JSON.stringify(result.data, null, 4) + "\n";
+    } else {
+        result.text = edits.reduce((upgraded, edit) => jsonPatch.setValue(upgraded, edit[0], edit[1]), text);
+    }
+    return result;
+};
+
+module.exports = {
+    VERSIONS: VERSIONS,
+    CURRENT_VERSION: CURRENT_VERSION,
+    MIGRATIONS: MIGRATIONS,
+    upgrade: upgrade,
+    upgradeText: upgradeText
+};
@@ -0,0 +1,335 @@
+/**
+ * Finds the local images an email's HTML refers to and packages them with the
+ * HTML into the zip layout Vault expects for Approved Email content: the HTML
+ * file at the root, every asset at the same relative path the HTML uses.
+ *
+ * Zips are written with a fixed timestamp, so the same content always gives
+ * the same bytes (and the same checksum to compare against Vault).
+ *
+ * Zips downloaded from Vault can be read back with readZip(), and
+ * inlineAssets() embeds the assets into the HTML itself for local previews.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+// Vault renders the email from these, so very large images are almost
+// certainly a mistake (an unexported source file, a missing resize).
+var MAX_ASSET_BYTES = 1024 * 1024;
+
+// References we leave alone: other schemes (http:, data:, cid:, ...),
+// protocol-relative URLs, anchors and Veeva tokens.
+var REMOTE_REFERENCE = /^([a-z][a-z0-9+.-]*:|\/\/|#|\{\{)/i;
+
+// `src` and `background` attributes, and CSS `url()`. The reference is in
+// one of the capture groups 1 to 3.
+var REFERENCE_PATTERNS = [
+    /(\s(?:src|background)\s*=\s*)(?:"([^"]*)"|'([^']*)')/gi,
+    /(url\(\s*)(?:"([^"]*)"|'([^']*)'|([^)'"]*))\s*\)/gi
+];
+
+// Types of the images an email may use, for data: URIs.
+var MIME_TYPES = {
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".svg": "image/svg+xml",
+    ".webp": "image/webp"
+};
+
+var lineAt = function(text, offset) {
+    return text.slice(0, offset).split("\n").length;
+};
+
+// The file a reference names. "%20" and the like are decoded; a "%" that is
+// not an escape (as in "50%-off.png") is taken as it is.
+var referencedFile = function(reference) {
+    var relative = reference.replace(/[?#].*$/, "");
+    try {
+        return decodeURI(relative);
+    } catch (e) {
+        return relative;
+    }
+};
+
+/**
+ * Find every local asset reference in the HTML: `src` and `background`
+ * attributes, and CSS `url()` in style attributes and style blocks.
+ *
+ * @return array of { reference: string as written in the HTML, line: int }
+ */
+var findReferences = function(html) {
+    var references = [];
+
+    REFERENCE_PATTERNS.forEach(pattern => {
+        var match;
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(html))) {
+            var reference = (match[2] || match[3] || match[4] || "").trim();
+            if (reference && !REMOTE_REFERENCE.test(reference)) {
+                references.push({ reference: reference, line: lineAt(html, match.index) });
+            }
+        }
+    });
+
+    return references.sort((a, b) => a.line - b.line);
+};
+
+/**
+ * Find and check the local assets of an HTML file.
+ *
+ * @param string htmlPath
+ *
+ * @return array of assets, one per distinct file
+ * [
+ *   {
+ *     reference: string as written in the HTML
+ *     line: int line of the first reference
+ *     path: string absolute path on disk
+ *     name: string path inside the zip
+ *     size: int bytes (null if the file is missing)
+ *     problem: string describing why the asset can't be bundled, or null
+ *   },
+ *   { ... }
+ * ]
+ */
+var collectAssets = function(htmlPath) {
+    if (!fs.existsSync(htmlPath)) {
+        return [];
+    }
+
+    var html = fs.readFileSync(htmlPath, "utf8");
+    var htmlDir = path.dirname(htmlPath);
+    var assets = [];
+
+    findReferences(html).forEach(found => {
+        var assetPath = path.resolve(htmlDir, referencedFile(found.reference));
+        if (assets.some(asset => asset.path === assetPath)) {
+            return;
+        }
+
+        var asset = {
+            reference: found.reference,
+            line: found.line,
+            path: assetPath,
+            name: path.relative(htmlDir, assetPath).split(path.sep).join("/"),
+            size: null,
+            problem: null
+        };
+
+        if (asset.name.indexOf("../") === 0 || asset.name === "..") {
+            asset.problem = "asset " + found.reference + " is outside the email's folder";
+        } else if (!fs.existsSync(assetPath) || !fs.statSync(assetPath).isFile()) {
+            asset.problem = "asset " + found.reference + " does not exist";
+        } else {
+            asset.size = fs.statSync(assetPath).size;
+            if (asset.size > MAX_ASSET_BYTES) {
+                asset.problem = "asset " + found.reference + " is " + Math.ceil(asset.size / 1024)
+                    + " KB, the limit is " + (MAX_ASSET_BYTES / 1024) + " KB";
+            }
+        }
+
+        assets.push(asset);
+    });
+
+    return assets;
+};
+
+var CRC_TABLE = (function() {
+    var table = [];
+    for (var n = 0; n < 256; n++) {
+        var c = n;
+        for (var k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table.push(c >>> 0);
+    }
+    return table;
+})();
+
+var crc32 = function(buffer) {
+    var crc = 0xffffffff;
+    for (var i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// 1980-01-01 00:00, the earliest date a zip entry can have.
+var DOS_TIME = 0;
+var DOS_DATE = (1 << 5) | 1;
+
+// Bit 11: entry names are UTF-8 (our file names contain things like "®").
+var UTF8_FLAG = 0x0800;
+
+/**
+ * Create an uncompressed zip archive.
+ *
+ * Images are compressed already and our HTML is small, so storing is good
+ * enough and keeps this simple.
+ *
+ * @param array entries - [{ name: string, data: Buffer }, ...]
+ *
+ * @return Buffer
+ */
+var createZip = function(entries) {
+    var localParts = [];
+    var centralParts = [];
+    var offset = 0;
+
+    entries.forEach(entry => {
+        var name = Buffer.from(entry.name, "utf8");
+        var crc = crc32(entry.data);
+
+        var local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(UTF8_FLAG, 6);
+        local.writeUInt16LE(0, 8);
+        local.writeUInt16LE(DOS_TIME, 10);
+        local.writeUInt16LE(DOS_DATE, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(entry.data.length, 18);
+        local.writeUInt32LE(entry.data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        var central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(UTF8_FLAG, 8);
+        central.writeUInt16LE(0, 10);
+        central.writeUInt16LE(DOS_TIME, 12);
+        central.writeUInt16LE(DOS_DATE, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(entry.data.length, 20);
+        central.writeUInt32LE(entry.data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, entry.data);
+        centralParts.push(central, name);
+        offset += local.length + name.length + entry.data.length;
+    });
+
+    var centralDirectory = Buffer.concat(centralParts);
+    var end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat(localParts.concat([centralDirectory, end]));
+};
+
+/**
+ * Read the files in a zip archive.
+ *
+ * Supports stored and deflated entries, which is what Vault and the usual zip
+ * tools produce. Directory entries are skipped.
+ *
+ * @param Buffer buffer
+ *
+ * @return array of { name: string, data: Buffer }
+ */
+var readZip = function(buffer) {
+    var end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (end === -1) {
+        throw new Error("Not a zip archive");
+    }
+
+    var count = buffer.readUInt16LE(end + 10);
+    var offset = buffer.readUInt32LE(end + 16);
+    var entries = [];
+
+    for (var i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new Error("Damaged zip archive");
+        }
+        var method = buffer.readUInt16LE(offset + 10);
+        var compressedSize = buffer.readUInt32LE(offset + 20);
+        var nameLength = buffer.readUInt16LE(offset + 28);
+        var extraLength = buffer.readUInt16LE(offset + 30);
+        var commentLength = buffer.readUInt16LE(offset + 32);
+        var localOffset = buffer.readUInt32LE(offset + 42);
+        var name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+        // The local header may have a different extra field than the central one.
+        var dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        var raw = buffer.slice(dataStart, dataStart + compressedSize);
+
+        if (!/\/$/.test(name)) {
+            if (method === 0) {
+                entries.push({ name: name, data: raw });
+            } else if (method === 8) {
+                entries.push({ name: name, data: zlib.inflateRawSync(raw) });
+            } else {
+                throw new Error("Unsupported compression in zip entry " + name);
+            }
+        }
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+};
+
+var dataURI = function(asset) {
+    var type = MIME_TYPES[path.extname(asset.path).toLowerCase()] || "application/octet-stream";
+    return "data:" + type + ";base64," + fs.readFileSync(asset.path).toString("base64");
+};
+
+/**
+ * Replace the references to local assets in the HTML with data: URIs, so the
+ * HTML shows its images without the files next to it.
+ *
+ * Assets with a problem are left as they are.
+ *
+ * @param string html
+ * @param array assets - as returned by collectAssets() for this HTML
+ *
+ * @return string
+ */
+var inlineAssets = function(html, assets) {
+    var usable = assets.filter(asset => !asset.problem);
+
+    return REFERENCE_PATTERNS.reduce((result, pattern) => result.replace(pattern, (match, prefix, double, single, bare) => {
+        var reference = (double || single || bare || "").trim();
+        var asset = usable.find(candidate => candidate.reference === reference);
+        return asset ? prefix + match.slice(prefix.length).replace(reference, dataURI(asset)) : match;
+    }), html);
+};
+
+/**
+ * Package an HTML file and its assets into a zip.
+ *
+ * Assets with a problem are left out; check them before uploading.
+ *
+ * @param string htmlPath
+ * @param array assets - as returned by collectAssets()
+ *
+ * @return Buffer zip archive
+ */
+var bundle = function(htmlPath, assets) {
+    var entries = [{ name: path.basename(htmlPath), data: fs.readFileSync(htmlPath) }];
+
+    assets
+        .filter(asset => !asset.problem)
+        .forEach(asset => entries.push({ name: asset.name, data: fs.readFileSync(asset.path) }));
+
+    return createZip(entries);
+};
+
+module.exports = {
+    MAX_ASSET_BYTES: MAX_ASSET_BYTES,
+    findReferences: findReferences,
+    collectAssets: collectAssets,
+    createZip: createZip,
+    readZip: readZip,
+    inlineAssets: inlineAssets,
+    bundle: bundle
+};
@@ -0,0 +1,210 @@
+/**
+ * Checks Approved Email HTML for problems Vault won't tell us about until an
+ * email has been sent: broken tokens, bad links, missing alt text, scripts.
+ *
+ * Every check returns findings of the form
+ * {
+ *   severity: "error" | "warning",
+ *   line: int (1-based)
+ *   message: string
+ * }
+ *
+ * Errors should stop an upload, warnings are worth a look.
+ */
+
+// Tokens Veeva CRM replaces when the email is sent. Vault-specific ones can be
+// added here; anything else is reported as a warning.
+var KNOWN_TOKENS = [
+    "accFname", "accLname", "accTitle", "accCredentials",
+    "userName", "userEmailAddress", "userPhoto",
+    "parentCallDatetime", "emailFragments", "insertEmailFragments",
+    "unsubscribe_product_link", "$ViewWebBrowser", "customText"
+];
+
+// Object field tokens such as {{User.Phone}} or {{Account.Specialty_1_vod__c}}.
+var FIELD_TOKEN = /^(Account|User|Call2_vod__c|Address_vod__c)\.\w+$/;
+
+var LINK_SCHEMES = ["http:", "https:", "mailto:", "tel:"];
+
+/**
+ * Blank out HTML comments, keeping the line breaks so offsets still map to
+ * the right lines.
+ */
+var stripComments = function(html) {
+    return html.replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, " "));
+};
+
+var lineFinder = function(html) {
+    var lineStarts = [0];
+    for (var i = 0; i < html.length; i++) {
+        if (html[i] === "\n") {
+            lineStarts.push(i + 1);
+        }
+    }
+    return function(offset) {
+        var line = 0;
+        while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) {
+            line++;
+        }
+        return line + 1;
+    };
+};
+
+var parseAttributes = function(source) {
+    var attributes = {};
+    var pattern = /([\w:-]+)(\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    var match;
+    while ((match = pattern.exec(source))) {
+        var value = match[4] !== undefined ? match[4] : match[5] !== undefined ? match[5] : match[6];
+        attributes[match[1].toLowerCase()] = value === undefined ? "" : value;
+    }
+    return attributes;
+};
+
+/**
+ * Check every {{token}} in the HTML.
+ *
+ * @param int fragmentCount - number of fragments related to the template, or
+ *   null for fragments (which can't insert other fragments)
+ */
+var checkTokens = function(html, lineAt, fragmentCount) {
+    var findings = [];
+    var insertsFragments = false;
+    // Most fragments the tokens take together; null once one takes any number.
+    var maxFragments = 0;
+    var match;
+
+    var add = (severity, offset, message) => findings.push({ severity: severity, line: lineAt(offset), message: message });
+
+    var unclosed = html.replace(/\{\{[\s\S]*?\}\}/g, token => token.replace(/[^\n]/g, " ")).indexOf("{{");
+    if (unclosed !== -1) {
+        add("error", unclosed, "token is never closed with }}");
+    }
+
+    var tokens = /\{\{([\s\S]*?)\}\}/g;
+    while ((match = tokens.exec(html))) {
+        var token = match[1];
+        var offset = match.index;
+
+        if (/^customText/.test(token)) {
+            var options = /^customText\[([\s\S]*)\]$/.exec(token);
+            if (options) {
+                if (/[[\]]/.test(options[1])) {
+                    add("error", offset, "unbalanced brackets in {{" + token + "}}");
+                } else if (options[1].split("|").some(option => option.trim() === "")) {
+                    add("error", offset, "empty option in {{" + token + "}}");
+                }
+            } else if (!/^customText(\(\d+\))?$/.test(token)) {
+                add("error", offset, "malformed customText token {{" + token + "}}");
+            }
+        } else if (/^insertEmailFragments/.test(token)) {
+            insertsFragments = true;
+            var range = /^insertEmailFragments(\[(\d+),(\d+)\])?$/.exec(token.replace(/\s/g, ""));
+            if (range && maxFragments !== null) {
+                maxFragments = range[1] ? maxFragments + Number(range[3]) : null;
+            }
+            if (!range) {
+                add("error", offset, "malformed fragment token {{" + token + "}}");
+            } else if (fragmentCount === null) {
+                add("error", offset, "email fragments can't insert other fragments");
+            } else if (range[1] && Number(range[2]) > Number(range[3])) {
+                add("error", offset, "{{" + token + "}} asks for at least " + range[2] + " but at most " + range[3] + " fragments");
+            } else if (range[1] && fragmentCount < Number(range[2])) {
+                add("error", offset, "{{" + token + "}} needs at least " + range[2]
+                    + " fragments, but relations has " + fragmentCount);
+            }
+        } else if (KNOWN_TOKENS.indexOf(token) === -1 && !FIELD_TOKEN.test(token)) {
+            add("warning", offset, "unknown token {{" + token + "}}");
+        }
+    }
+
+    if (fragmentCount && !insertsFragments) {
+        findings.push({
+            severity: "error",
+            line: 1,
+            message: "relations has " + fragmentCount + " fragments, but there is no {{insertEmailFragments}} token"
+        });
+    } else if (fragmentCount && maxFragments !== null && fragmentCount > maxFragments) {
+        findings.push({
+            severity: "warning",
+            line: 1,
+            message: "relations has " + fragmentCount + " fragments, but {{insertEmailFragments}} takes at most "
+                + maxFragments + ", so the rep can't use them all"
+        });
+    }
+
+    return findings;
+};
+
+/**
+ * Check links, images and scripts.
+ */
+var checkTags = function(html, lineAt) {
+    var findings = [];
+    var tags = /<(a|img|script)\b([^>]*)>/gi;
+    var match;
+
+    var add = (severity, offset, message) => findings.push({ severity: severity, line: lineAt(offset), message: message });
+
+    while ((match = tags.exec(html))) {
+        var name = match[1].toLowerCase();
+        var attributes = parseAttributes(match[2]);
+
+        if (name === "a" && attributes.href !== undefined) {
+            var href = attributes.href.trim();
+            var scheme = /^([a-z][a-z0-9+.-]*:)/i.exec(href);
+            if (href === "") {
+                add("warning", match.index, "link without a target");
+            } else if (scheme && LINK_SCHEMES.indexOf(scheme[1].toLowerCase()) === -1) {
+                add("error", match.index, "link scheme \"" + scheme[1] + "\" won't work in an email (" + href + ")");
+            } else if (!scheme && !/^(#|\{\{)/.test(href)) {
+                add("warning", match.index, "relative link \"" + href + "\" won't work in an email");
+            }
+        }
+
+        if (name === "img" && !attributes.alt) {
+            add("warning", match.index, "image without alt text (" + (attributes.src || "no src") + ")");
+        }
+
+        if (name === "script") {
+            if (attributes.src !== undefined) {
+                add("error", match.index, "external script " + attributes.src + " is not allowed in an email");
+            } else {
+                add("warning", match.index, "scripts don't run in email clients");
+            }
+        }
+    }
+
+    return findings;
+};
+
+/**
+ * Lint one email HTML document.
+ *
+ * @param string html
+ * @param int fragmentCount - number of related fragments for a template, or
+ *   null when linting a fragment
+ *
+ * @return array of findings, sorted by line
+ */
+var lintHTML = function(html, fragmentCount) {
+    var cleaned = stripComments(html);
+    var lineAt = lineFinder(cleaned);
+
+    return checkTokens(cleaned, lineAt, fragmentCount)
+        .concat(checkTags(cleaned, lineAt))
+        .sort((a, b) => a.line - b.line);
+};
+
+/**
+ * Format findings as "file:line: severity: message" lines.
+ */
+var formatFindings = function(filepath, findings) {
+    return findings.map(finding => filepath + ":" + finding.line + ": " + finding.severity + ": " + finding.message);
+};
+
+module.exports = {
+    lintHTML: lintHTML,
+    formatFindings: formatFindings,
+    KNOWN_TOKENS: KNOWN_TOKENS
+};
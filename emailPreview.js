@@ -0,0 +1,150 @@
+/**
+ * Renders an email the way a recipient would see it, for review before it is
+ * in Vault: the fragments are put where the template inserts them, and tokens
+ * Veeva CRM fills in when the email is sent are replaced with sample data.
+ *
+ * Every {{customText[a|b|...]}} is a choice the rep makes, so an email has one
+ * variant per combination of choices, and we render all of them.
+ */
+
+// Used for tokens the sample data doesn't have a value for.
+var DEFAULT_SAMPLE = {
+    "accFname": "Jane",
+    "accLname": "Doe",
+    "accTitle": "Dr.",
+    "accCredentials": "MD",
+    "userName": "Alex Morgan",
+    "userEmailAddress": "alex.morgan@example.com",
+    "parentCallDatetime": "January 15, 2019 10:30 AM",
+    "unsubscribe_product_link": "#unsubscribe",
+    "$ViewWebBrowser": "#view-in-browser",
+    "customText": "Custom text entered by the rep"
+};
+
+// More variants than this are not worth a review file each.
+var MAX_VARIANTS = 256;
+
+var FRAGMENTS_TOKEN = /\{\{\s*insertEmailFragments\s*(\[[^\]]*\])?\s*\}\}/g;
+
+var CHOICE_TOKEN = /\{\{customText\[([^\]]*)\]\}\}/g;
+
+var escapeHTML = function(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+};
+
+/**
+ * Put the fragments, in order, where the template inserts them. Each
+ * {{insertEmailFragments[x,y]}} takes the next y fragments (the most a rep
+ * can insert there), and one without a range takes all that are left.
+ *
+ * @param string html - the template
+ * @param array fragments - HTML of every email fragment
+ *
+ * @return string
+ */
+var insertFragments = function(html, fragments) {
+    var next = 0;
+
+    return html.replace(FRAGMENTS_TOKEN, (token, range) => {
+        var max = range && /,\s*(\d+)\s*\]$/.exec(range);
+        var end = max ? Math.min(next + Number(max[1]), fragments.length) : fragments.length;
+        var taken = fragments.slice(next, end);
+        next = end;
+        return taken.join("\n");
+    });
+};
+
+/**
+ * Replace the tokens CRM fills in with sample values. {{customText}} and
+ * {{customText(n)}} are free text; object fields such as {{User.Phone}} are
+ * looked up by their full name. Values are text, so they are escaped.
+ *
+ * @param object sample - { token: value, ... }, on top of DEFAULT_SAMPLE
+ *
+ * @return object { html: string, missing: [tokens without a sample value] }
+ */
+var replaceTokens = function(html, sample) {
+    var values = Object.assign({}, DEFAULT_SAMPLE, sample);
+    var missing = [];
+
+    var result = html.replace(/\{\{([^{}]*)\}\}/g, (token, name) => {
+        var key = /^customText(\(\d+\))?$/.test(name) ? "customText" : name;
+        if (/^customText\[/.test(name) || /^insertEmailFragments/.test(name)) {
+            return token;
+        }
+        if (!values.hasOwnProperty(key)) {
+            missing.indexOf(name) === -1 && missing.push(name);
+            return token;
+        }
+        return escapeHTML(values[key]);
+    });
+
+    return { html: result, missing: missing };
+};
+
+/**
+ * Render combinations of {{customText[...]}} choices, at most `limit`. The
+ * last choice changes fastest.
+ *
+ * @return object
+ * {
+ *   variants: [{ choices: [chosen option per token, in order], html }, ...]
+ *   total: int number of combinations
+ * }
+ */
+var renderChoices = function(html, limit) {
+    var choices = [];
+    var match;
+    CHOICE_TOKEN.lastIndex = 0;
+    while ((match = CHOICE_TOKEN.exec(html))) {
+        choices.push(match[1].split("|"));
+    }
+
+    var total = choices.reduce((count, options) => count * options.length, 1);
+    var variants = [];
+    for (var n = 0; n < Math.min(total, limit); n++) {
+        var chosen = [];
+        var rest = n;
+        for (var i = choices.length - 1; i >= 0; i--) {
+            chosen.unshift(choices[i][rest % choices[i].length]);
+            rest = Math.floor(rest / choices[i].length);
+        }
+        var index = 0;
+        variants.push({ choices: chosen, html: html.replace(CHOICE_TOKEN, () => chosen[index++]) });
+    }
+
+    return { variants: variants, total: total };
+};
+
+/**
+ * Render an email.
+ *
+ * @param string template - template HTML
+ * @param array fragments - HTML of every email fragment, in order
+ * @param object sample - sample values by token name, see replaceTokens()
+ *
+ * @return object
+ * {
+ *   variants: [{ choices: [string], html: string }, ...]
+ *   total: int number of combinations (more than variants when over MAX_VARIANTS)
+ *   missing: [token names without a sample value, left in the HTML]
+ * }
+ */
+var renderEmail = function(template, fragments, sample) {
+    var replaced = replaceTokens(insertFragments(template, fragments), sample || {});
+    var rendered = renderChoices(replaced.html, MAX_VARIANTS);
+
+    return { variants: rendered.variants, total: rendered.total, missing: replaced.missing };
+};
+
+module.exports = {
+    DEFAULT_SAMPLE: DEFAULT_SAMPLE,
+    MAX_VARIANTS: MAX_VARIANTS,
+    insertFragments: insertFragments,
+    replaceTokens: replaceTokens,
+    renderEmail: renderEmail
+};
@@ -2,7 +2,18 @@
 let validate = require('validate-fields')();
 const assert = require('assert');
 const fs = require('fs');
-const vault = require("veeva-vault");
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const vault = require("./veeva-vault");
+const jsonPatch = require("./jsonPatch");
+const emailLint = require("./emailLint");
+const emailAssets = require("./emailAssets");
+const emailPreview = require("./emailPreview");
+const vaultLookups = require("./vaultLookups");
+const vaultMetadata = require("./vaultMetadata");
+const uploadJournal = require("./uploadJournal");
+const dataMigrations = require("./dataMigrations");
 
 ///////////////////////////////////
 // Data Structure for Validation //
@@ -10,122 +21,1931 @@ const vault = require("veeva-vault");
 
 let BooleanString =  "in(true, false)";
 
+// The data file format we read and write. Older ones are upgraded by
+// dataMigrations.js.
+var DATA_VERSION = dataMigrations.CURRENT_VERSION;
+
+// validate-fields throws strings to report a value as invalid.
+validate.registerType("existingFile", "string", value => {
+    if (!fs.existsSync(value)) {
+        throw "I was expecting an existing file, but " + value + " does not exist";
+    }
+    if (!fs.statSync(value).isFile()) {
+        throw "I was expecting a file, but " + value + " is a directory";
+    }
+});
+validate.registerType("nonBlank", "string", value => {
+    if (value.trim() === "") {
+        throw "I was expecting some text";
+    }
+});
+
 var EmailTemplate = {
-    version: "in(2019-04-01)",
-    filepath: String,
-    file: Object, // fs.ReaddStream from filepath
+    version: "in(" + DATA_VERSION + ")",
+    filepath: "existingFile",
+    relations: Array,
     "name__v": String,
-    "lifecycle__v": "in(Approved Email)",
+    "lifecycle__v": String,
     "type__v": "in(Email Template)",
     "document_id?": String,
     "product__v": String,
     "country__v": String,
     "restrict_fragments_by_product__v?": BooleanString,
     "from_name__v": String,
-    "from_address__v": String,
+    "from_address__v": "email",
     "reply_to_name__v": String,
-    "reply_to_address__v": String,
-    "subject__v": String
+    "reply_to_address__v": "email",
+    "subject__v": "nonBlank"
 }
 
 var EmailFragment = {
-    filepath: String,
-    file: Object, // fs.ReaddStream from filepath
+    filepath: "existingFile",
     "name__v": String,
-    "lifecycle__v": "in(Approved Email)",
+    "lifecycle__v": String,
     "type__v": "in(Email Fragment)",
     "document_id?": String,
     "product__v": String,
+    "country__v": String,
+    "promotional_piece?": Object
+}
+
+// Headers and footers shared by templates. They live in `relations` next to
+// the email fragments, told apart by their type.
+var TemplateFragment = {
+    filepath: "existingFile",
+    "name__v": String,
+    "lifecycle__v": String,
+    "type__v": "in(Template Fragment)",
+    "document_id?": String,
+    "product__v": String,
     "country__v": String
 }
 
-var assertValid = (schema, value) => {
-    if(! validate(schema, value)){
-        console.error(validate.lastError);
-        console.log(value)
-        throw Error(validate.lastError)}}
+// The promotional piece an email fragment refers to: either a document that
+// is in Vault already, or a local file (usually a PDF) we upload.
+var PromotionalPieceReference = {
+    "document_id": String
+}
+
+var PromotionalPieceUpload = {
+    filepath: "existingFile",
+    "name__v": String,
+    "lifecycle__v": String,
+    "type__v": String,
+    "document_id?": String,
+    "product__v": String,
+    "country__v": String
+}
+
+var FRAGMENT_SCHEMAS = {
+    "Email Fragment": EmailFragment,
+    "Template Fragment": TemplateFragment
+}
+
+// Checks every field of the schema on its own, so we find all problems
+// rather than the first. Returns [{ path, message }], with paths prefixed by
+// `prefix` (e.g. "relations[1].").
+var collectErrors = (schema, value, prefix) => {
+    var errors = [];
+    Object.keys(schema).forEach(key => {
+        var field = key.replace(/\?$/, "");
+        var single = {};
+        single[field] = value[field];
+        var fieldSchema = {};
+        fieldSchema[key] = schema[key];
+
+        if (!validate(fieldSchema, single)) {
+            errors.push({ path: prefix + field, message: validate.lastErrorMessage });
+        }
+    });
+    return errors;
+}
+
+var assertValid = (dataFile, errors) => {
+    if (errors.length) {
+        throw Error(errors.length + " problem(s) in " + dataFile + ":\n"
+            + errors.map(error => "  " + error.path + ": " + error.message).join("\n"));
+    }
+}
+
+// Lints the HTML of the template and every fragment, and checks the images it
+// bundles. Warnings are printed, errors stop us before anything is sent to
+// Vault.
+var assertLintClean = (emailData) => {
+    var fragmentCount = emailFragments(emailData).length;
+    var documents = [{ data: emailData, fragmentCount: fragmentCount }]
+        .concat(emailData["relations"].map(fragment => ({ data: fragment, fragmentCount: null })));
+    var errors = 0;
+
+    documents.forEach(entry => {
+        var filepath = entry.data["filepath"];
+        var findings = emailLint.lintHTML(fs.readFileSync(filepath, "utf8"), entry.fragmentCount)
+            .concat(entry.data["assets"]
+                .filter(asset => asset.problem)
+                .map(asset => ({ severity: "error", line: asset.line, message: asset.problem })))
+            .sort((a, b) => a.line - b.line);
+        errors += findings.filter(finding => finding.severity === "error").length;
+        emailLint.formatFindings(path.relative(process.cwd(), filepath), findings)
+            .forEach(line => console.warn(line));
+    });
+
+    if (errors > 0) {
+        throw Error(errors + " problem(s) in the email HTML must be fixed before upload");
+    }
+}
 
 /////////////////////////
 // Data normalization  //
 /////////////////////////
 
-var normalizeEmailTemplate = function (origEmailTemplateData) {
+var isFile = function(filepath) {
+    return filepath !== undefined && fs.existsSync(filepath) && fs.statSync(filepath).isFile();
+}
+
+// A `filepath` of the data file, made absolute. A missing or empty one is
+// left as it is (resolving it would give the data file's folder), for
+// validation to report.
+var resolveFilePath = function(baseDir, filepath) {
+    if (filepath === undefined || filepath === null || filepath === "") {
+        return filepath === null ? undefined : filepath;
+    }
+    return path.resolve(baseDir, String(filepath));
+}
+
+// HTML that refers to local images is uploaded as a zip with those images,
+// plain HTML as is. The zip is kept in `bundle` so we can checksum it.
+// Missing files (and directories) are left to validation to report.
+var attachSourceFile = function (documentData) {
+    var filepath = documentData["filepath"];
+    if (!isFile(filepath)) {
+        return;
+    }
+    documentData["assets"] = emailAssets.collectAssets(filepath);
+
+    if (documentData["assets"].length === 0) {
+        documentData["file"] = fs.createReadStream(filepath);
+        return;
+    }
+
+    documentData["bundle"] = emailAssets.bundle(filepath, documentData["assets"]);
+    documentData["file"] = {
+        value: documentData["bundle"],
+        options: {
+            filename: path.basename(filepath, path.extname(filepath)) + ".zip",
+            contentType: "application/zip"
+        }
+    };
+}
+
+// File paths in the data file are relative to the data file itself, so that a
+// package can be uploaded from any working directory.
+var normalizeEmailTemplate = function (origEmailTemplateData, baseDir) {
     var emailTemplateData = Object.assign({}, origEmailTemplateData); // make a copy
 
     emailTemplateData["document_id"] =  emailTemplateData["document_id"] || null;
     emailTemplateData["lifecycle__v"] =  emailTemplateData["lifecycle__v"] || "Approved Email";
     emailTemplateData["type__v"] =  emailTemplateData["type__v"] || "Email Template";
 
-    emailTemplateData["file"] = fs.createReadStream(emailTemplateData["filepath"])
+    emailTemplateData["filepath"] = resolveFilePath(baseDir, emailTemplateData["filepath"]);
+    attachSourceFile(emailTemplateData);
 
-    assertValid(EmailTemplate, emailTemplateData);
     return emailTemplateData;
 }
 
-var normalizeEmailFragment = function(emailTemplateData, origFragmentData) {
+var normalizeEmailFragment = function(emailTemplateData, origFragmentData, baseDir) {
     var fragmentData = Object.assign({}, origFragmentData); // make a copy
 
     fragmentData["document_id"] = fragmentData["document_id"] || null;
     fragmentData["lifecycle__v"] =  fragmentData["lifecycle__v"] || "Approved Email";
-    fragmentData["type__v"] =  fragmentData["type__v"] || "Email Template";
+    fragmentData["type__v"] =  fragmentData["type__v"] || "Email Fragment";
     fragmentData["product__v"] = fragmentData["product__v"] || emailTemplateData["product__v"];
     fragmentData["country__v"] = fragmentData["country__v"] || emailTemplateData["country__v"];
-    fragmentData["file"] = fs.createReadStream(fragmentData["filepath"])
+    fragmentData["filepath"] = resolveFilePath(baseDir, fragmentData["filepath"]);
+    attachSourceFile(fragmentData);
+
+    if (fragmentData["promotional_piece"]) {
+        fragmentData["promotional_piece"] = normalizePromotionalPiece(fragmentData, fragmentData["promotional_piece"], baseDir);
+    }
 
-    assertValid(EmailFragment, fragmentData);
     return fragmentData;
 }
 
-var normalizeData = function(data) {
-    var emailData = normalizeEmailTemplate(data);
-    emailData["relations"] = data["relations"].map(fragment => normalizeEmailFragment(emailData, fragment))
+// A piece given only by `document_id` is left as is. One we upload gets the
+// fragment's product and country unless it has its own.
+var normalizePromotionalPiece = function(fragmentData, origPieceData, baseDir) {
+    var pieceData = Object.assign({}, origPieceData); // make a copy
+
+    pieceData["document_id"] = pieceData["document_id"] || null;
+    if (pieceData["filepath"] === undefined) {
+        return pieceData;
+    }
+    pieceData["product__v"] = pieceData["product__v"] || fragmentData["product__v"];
+    pieceData["country__v"] = pieceData["country__v"] || fragmentData["country__v"];
+    pieceData["filepath"] = resolveFilePath(baseDir, pieceData["filepath"]);
+    if (isFile(pieceData["filepath"])) {
+        pieceData["file"] = fs.createReadStream(pieceData["filepath"]);
+    }
+
+    return pieceData;
+}
+
+// Normalizes the template and its fragments, then validates all of them and
+// reports every problem at once.
+var normalizeData = function(data, baseDir, dataFile) {
+    var emailData = normalizeEmailTemplate(data, baseDir);
+    var relations = Array.isArray(data["relations"]) ? data["relations"] : [];
+    emailData["relations"] = relations.map(fragment => normalizeEmailFragment(emailData, fragment, baseDir))
+
+    var errors = collectErrors(EmailTemplate, Object.assign({}, emailData, { relations: data["relations"] }), "");
+    emailData["relations"].forEach((fragment, index) => {
+        var prefix = "relations[" + index + "].";
+        var schema = FRAGMENT_SCHEMAS[fragment["type__v"]] || EmailFragment;
+        errors = errors.concat(collectErrors(schema, fragment, prefix));
+
+        var piece = fragment["promotional_piece"];
+        if (piece && schema !== EmailFragment) {
+            errors.push({ path: prefix + "promotional_piece", message: "only email fragments can have a promotional piece" });
+        } else if (piece) {
+            var pieceSchema = piece["filepath"] === undefined ? PromotionalPieceReference : PromotionalPieceUpload;
+            errors = errors.concat(collectErrors(pieceSchema, piece, prefix + "promotional_piece."));
+        }
+    });
+    assertValid(dataFile || "the data file", errors);
+
     return emailData;
 }
 
+// The fragments `{{insertEmailFragments}}` picks from, without the template
+// fragments.
+var emailFragments = function(emailData) {
+    return emailData["relations"].filter(fragment => fragment["type__v"] === "Email Fragment");
+}
+
+// The promotional pieces we upload ourselves, with their path in the data
+// file. Pieces that are only referenced by ID are not part of the package.
+var uploadedPieces = function(emailData) {
+    return emailData["relations"]
+        .map((fragment, index) => ({ data: fragment["promotional_piece"], path: ["relations", index, "promotional_piece"] }))
+        .filter(entry => entry.data && entry.data["filepath"] !== undefined);
+}
+
+// Fields that refer to vault objects, and may be given by ID or by name.
+var LOOKUP_FIELDS = ["product__v", "country__v"];
+
+// Replaces product and country names with their IDs in this vault. Unknown
+// values fail here, before anything is uploaded, with the closest matches as
+// suggestions. Resolves with the values that were given by name.
+var resolveVaultObjects = function(emailData, host) {
+    var documents = [emailData].concat(emailData["relations"], uploadedPieces(emailData).map(entry => entry.data));
+    var renamed = [];
+    var problems = [];
+
+    return LOOKUP_FIELDS.reduce((previous, field) => previous.then(() => {
+        var values = documents
+            .map(documentData => documentData[field])
+            .filter((value, index, all) => all.indexOf(value) === index);
+
+        return vaultLookups.resolve(vault, host, field, values).then(result => {
+            documents.forEach(documentData => {
+                documentData[field] = result.resolved[documentData[field]] || documentData[field];
+            });
+            Object.keys(result.resolved)
+                .filter(value => result.resolved[value] !== value)
+                .forEach(value => renamed.push({ field: field, value: value, id: result.resolved[value] }));
+            result.unknown.forEach(unknown => {
+                problems.push(field + " \"" + unknown.value + "\" does not exist in this vault"
+                    + (unknown.suggestions.length ? " (did you mean " + unknown.suggestions.map(name => "\"" + name + "\"").join(", ") + "?)" : ""));
+            });
+        });
+    }), Promise.resolve()).then(() => {
+        if (problems.length) {
+            throw Error(problems.join("\n"));
+        }
+        return renamed;
+    });
+}
+
+// The documents we send to Vault, with the prefix of their paths in the data
+// file: the template, every fragment and the promotional pieces we upload.
+var vaultDocuments = function(emailData) {
+    return [{ data: emailData, prefix: "" }]
+        .concat(emailData["relations"].map((fragment, index) => ({ data: fragment, prefix: "relations[" + index + "]." })))
+        .concat(uploadedPieces(emailData).map(entry => ({ data: entry.data, prefix: "relations[" + entry.path[1] + "].promotional_piece." })));
+}
+
+var documentTypes = function(emailData) {
+    return vaultDocuments(emailData)
+        .map(entry => entry.data["type__v"])
+        .filter((type, index, all) => all.indexOf(type) === index);
+}
+
+// Fetches the field definitions of the package's document types from the
+// vault, once per type and run: the types no package fetched yet are fetched
+// together. Resolves with { type: definition }.
+var fetchDocumentTypes = function(emailData, host, context) {
+    var types = documentTypes(emailData);
+    var missing = types.filter(type => !context.documentTypes[type]);
+    if (missing.length) {
+        var fetching = vaultMetadata.fetchDefinitions(vault, host, missing);
+        missing.forEach(type => context.documentTypes[type] = fetching.then(definitions => definitions[type]));
+    }
+
+    return Promise.all(types.map(type => context.documentTypes[type])).then(definitions => {
+        var byType = {};
+        types.forEach((type, index) => byType[type] = definitions[index]);
+        return byType;
+    });
+}
+
+// Checks the metadata of every document against the vault's field
+// definitions (required fields, picklists, types, lengths) and reports every
+// problem at once. Types without a definition are not checked.
+var assertVaultMetadata = function(dataFile, emailData, definitions) {
+    var errors = [];
+    vaultDocuments(emailData).forEach(entry => {
+        var definition = definitions[entry.data["type__v"]];
+        if (definition) {
+            errors = errors.concat(vaultMetadata.checkDocument(definition, entry.data)
+                .map(problem => ({ path: entry.prefix + problem.field, message: problem.message })));
+        }
+    });
+    assertValid(dataFile, errors);
+}
+
+// What to do with a document that has no `document_id`, but matches one
+// already in Vault:
+// - adopt: take over the existing document's ID and update it
+// - error: stop before uploading anything
+// - create: create a new document anyway
+var EXISTING_POLICIES = ["adopt", "error", "create"];
+
+// Looks for documents in Vault with the same name, type and product as each
+// document of ours that has no `document_id`, e.g. from an earlier manual
+// upload. Fragments another package of this run already saved are skipped.
+// Resolves with [{ documentData, path, matches: [ids] }] for every document
+// that has matches.
+var findExistingDocuments = function(emailData, context) {
+    var documents = [{ data: emailData, path: [] }].concat(
+        emailData["relations"].map((fragment, index) => ({ data: fragment, path: ["relations", index] })));
+
+    return Promise.all(documents
+        .filter(entry => !entry.data["document_id"] && !context.fragments[entry.data["filepath"]])
+        .map(entry => {
+            var vql = "SELECT id, product__v FROM documents"
+                + " WHERE name__v = " + vault.quoteVQL(entry.data["name__v"])
+                + " AND type__v = " + vault.quoteVQL(entry.data["type__v"]);
+
+            return vault.query(vql).then(records => ({
+                documentData: entry.data,
+                path: entry.path,
+                matches: records
+                    .filter(record => [].concat(record["product__v"] || []).map(String).indexOf(String(entry.data["product__v"])) !== -1)
+                    .map(record => String(record.id))
+            }));
+        }))
+        .then(found => found.filter(entry => entry.matches.length > 0));
+}
+
+// Applies the policy for existing documents. Adopted IDs are written back to
+// the data file unless `dryRun` is set.
+var handleExistingDocuments = function(dataFile, emailData, context, policy, dryRun) {
+    return findExistingDocuments(emailData, context).then(found => {
+        var problems = [];
+
+        found.forEach(entry => {
+            var label = "\"" + entry.documentData["name__v"] + "\" already exists in Vault as " + entry.matches.join(", ");
+
+            if (policy === "create") {
+                console.warn(label + ", creating another one anyway");
+            } else if (policy === "adopt" && entry.matches.length === 1) {
+                console.log(label + ", adopting it");
+                entry.documentData["document_id"] = entry.matches[0];
+                if (!dryRun) {
+                    saveUpdatedJSON(dataFile, entry.path, entry.matches[0]);
+                }
+            } else {
+                problems.push(label + (policy === "adopt" ? " (more than one match, set its document_id by hand)" : ""));
+            }
+        });
+
+        if (problems.length) {
+            throw Error(problems.join("\n") + "\nUse --existing adopt or --existing create to upload anyway");
+        }
+    });
+}
+
+//////////////////////////
+// Comparison functions //
+//////////////////////////
+
+// Vault won't change these through a metadata update, so there is no point in
+// comparing them.
+var IMMUTABLE_FIELDS = ["type__v", "lifecycle__v"];
+
+// How each kind of fragment is related to the template, and an email
+// fragment to its promotional piece. These are relationship types of the
+// vault's Approved Email configuration.
+var RELATIONSHIP_TYPES = {
+    "Email Fragment": "related_shared_resource__v",
+    "Template Fragment": "related_template_fragment__v"
+};
+var PROMOTIONAL_PIECE_RELATIONSHIP = "related_pieces__v";
+
+var TEMPLATE_RELATIONSHIPS = Object.keys(RELATIONSHIP_TYPES).map(type => RELATIONSHIP_TYPES[type]);
+
+// Checksum of what we upload for a document: the zip if it has assets,
+// otherwise the HTML file.
+var sourceChecksum = function (documentData) {
+    var content = documentData["bundle"] || fs.readFileSync(documentData["filepath"]);
+    return crypto.createHash("md5").update(content).digest("hex");
+}
+
+// Vault hands back picklists and object references as arrays and booleans as
+// booleans, while our data file has plain strings.
+var sameValue = function (localValue, vaultValue) {
+    var asList = value => [].concat(value === undefined ? [] : value).map(String).sort().join("|");
+    return asList(localValue) === asList(vaultValue);
+}
+
+// Compares our data with a document as returned by `vault.getDocument`.
+// Returns the fields that differ (with their Vault and local values) and
+// whether the file content differs.
+var diffDocument = function (documentData, vaultDocument) {
+    var fields = {};
+    var localFields = vaultFields(documentData);
+    delete localFields["file"];
+
+    Object.keys(localFields)
+        .filter(key => IMMUTABLE_FIELDS.indexOf(key) === -1)
+        .filter(key => !sameValue(localFields[key], vaultDocument[key]))
+        .forEach(key => fields[key] = { from: vaultDocument[key], to: localFields[key] });
+
+    return {
+        fields: fields,
+        file: sourceChecksum(documentData) !== vaultDocument["md5checksum__v"]
+    };
+}
+
+// Picks the relationships of the given types that start at `documentID` from
+// what `vault.getDocumentRelationships` returns.
+var outgoingRelationships = function (documentID, relationships, types) {
+    return relationships
+        .map(entry => entry.relationship)
+        .filter(relationship => types.indexOf(relationship["relationship_type__v"]) !== -1
+            && String(relationship["source_doc_id__v"]) === String(documentID));
+}
+
+// Splits a document's relationships of the given types into the ones we need
+// to add and the ones that link documents we no longer have. `links` are the
+// relationships we want, as [{ id: target document ID, type }].
+var diffRelationships = function (documentID, relationships, links, types) {
+    var linked = outgoingRelationships(documentID, relationships, types);
+    var key = (type, id) => type + ":" + id;
+    var linkedKeys = linked.map(relationship => key(relationship["relationship_type__v"], relationship["target_doc_id__v"]));
+    var wantedKeys = links.map(link => key(link.type, link.id));
+
+    return {
+        add: links.filter(link => linkedKeys.indexOf(key(link.type, link.id)) === -1),
+        remove: linked.filter(relationship => wantedKeys.indexOf(key(relationship["relationship_type__v"], relationship["target_doc_id__v"])) === -1)
+    };
+}
+
+// The relationships the template should have to its fragments.
+var fragmentLinks = function (fragments) {
+    return fragments.map(fragment => ({ id: String(fragment["document_id"]), type: RELATIONSHIP_TYPES[fragment["type__v"]] }));
+}
+
 ////////////////////////
 // Creation functions //
 ////////////////////////
 
+// Only Vault fields (the `__v` and `__c` keys) and the file are sent to Vault;
+// our own bookkeeping keys like `filepath` or `relations` would be rejected.
+var vaultFields = function (documentData) {
+    var fields = {};
+    Object.keys(documentData)
+        .filter(key => /__[vc]$/.test(key))
+        .forEach(key => fields[key] = documentData[key]);
+    fields["file"] = documentData["file"];
+    return fields;
+}
+
+// Relationships are attached to a specific document version, so we need the
+// version numbers along with the ID. `client` is the vault to ask (default:
+// the one we upload to).
+var documentVersion = function (documentID, client) {
+    return (client || vault).getDocument(documentID).then(document => ({
+        id: documentID,
+        version_major: document["major_version_number__v"],
+        version_minor: document["minor_version_number__v"]
+    }));
+}
+
+// Brings an existing Vault document in line with our data: changed metadata
+// is updated, and the file is replaced only if its content differs.
+var updateEmailDocument = function (documentData) {
+    var documentID = documentData["document_id"];
+
+    return vault.getDocument(documentID).then(vaultDocument => {
+        var changes = diffDocument(documentData, vaultDocument);
+        var changedFields = Object.keys(changes.fields);
+        var form = {};
+        changedFields.forEach(key => form[key] = documentData[key]);
+
+        return (changedFields.length ? vault.updateDocument(documentID, form) : Promise.resolve())
+            .then(() => changes.file && vault.updateDocumentFile(documentID, documentData["file"]))
+            .then(() => ({ id: documentID, created: false, fields: changedFields, file: changes.file }));
+    });
+}
+
+// Documents that already have a `document_id` are updated, all others created.
+// Resolves with { id, created, fields, file } describing what happened.
+var saveEmailDocument = function (documentData) {
+    if (documentData["document_id"]) {
+        return updateEmailDocument(documentData);
+    }
+    return vault.createDocument(vaultFields(documentData))
+        .then(documentID => ({ id: String(documentID), created: true, fields: [], file: true }));
+}
 
 var createEmailTemplate = function (emailTemplate) {
-    delete emailTemplate.relations;
-    // delete emailTemplate.document_id;
-    // console.log(emailTemplate)
-    var creationPromise = vault.createDocument(emailTemplate);
-    return creationPromise;
+    return saveEmailDocument(emailTemplate);
 }
 
 var createEmailFragment= function (fragmentTemplate) {
-    // delete emailTemplate.document_id;
-    // console.log(emailTemplate)
-    var creationPromise = vault.createDocument(fragmentTemplate);
-    return creationPromise;
+    return saveEmailDocument(fragmentTemplate);
+}
+
+// Makes the document's relationships of the given types match `links`
+// ([{ id, type }]): missing ones are created, ones pointing at documents no
+// longer in `links` are removed. Both are recorded in the journal.
+var linkDocuments = function(documentID, links, types, journal) {
+    return documentVersion(documentID).then(document => {
+        return vault.getDocumentRelationships(document).then(relationships => {
+            var changes = diffRelationships(documentID, relationships || [], links, types);
+
+            return changes.add.reduce((previous, link) => previous
+                    .then(() => vault.createDocumentRelationship(document, link.id, link.type))
+                    .then(relationshipID => uploadJournal.record(journal, {
+                        type: "link", document: document, relationship_id: relationshipID, target_id: link.id
+                    })), Promise.resolve())
+                .then(() => changes.remove.reduce((previous, relationship) => previous
+                    .then(() => vault.removeDocumentRelationship(document, relationship.id))
+                    .then(() => uploadJournal.record(journal, {
+                        type: "unlink", document: document, target_id: relationship["target_doc_id__v"],
+                        relationship_type: relationship["relationship_type__v"]
+                    })), Promise.resolve()))
+                .then(() => ({
+                    added: changes.add.map(link => link.id),
+                    removed: changes.remove.map(relationship => String(relationship["target_doc_id__v"]))
+                }));
+        });
+    });
+}
+
+// Makes the template's fragment relationships match `relations`.
+var linkEmailFragments = function(templateID, fragments, journal) {
+    return linkDocuments(templateID, fragmentLinks(fragments), TEMPLATE_RELATIONSHIPS, journal);
+}
+
+// Uploads the fragment's promotional piece if it is a local file, then links
+// it to the fragment (replacing any other piece linked there). Fragments
+// without a promotional piece are left alone. Resolves with what was saved,
+// or null.
+var savePromotionalPiece = function(fragment, journal, recordID, path) {
+    var piece = fragment["promotional_piece"];
+    if (!piece) {
+        return Promise.resolve(null);
+    }
+
+    var saving = piece["filepath"] === undefined
+        ? Promise.resolve({ id: String(piece["document_id"]), created: false, referenced: true, fields: [], file: false })
+        : saveEmailDocument(piece).then(saved => recordID(piece, path, saved));
+
+    return saving.then(saved => {
+        var link = { id: saved.id, type: PROMOTIONAL_PIECE_RELATIONSHIP };
+        return linkDocuments(fragment["document_id"], [link], [PROMOTIONAL_PIECE_RELATIONSHIP], journal).then(links => {
+            saved.name = piece["name__v"];
+            saved.fragmentID = fragment["document_id"];
+            saved.links = links;
+            return saved;
+        });
+    });
+}
+
+// Records a new document ID in the data file right away, so that a run that
+// fails later on doesn't forget what it already created. Only the
+// `document_id` is touched; the rest of the file keeps its formatting.
+var saveUpdatedJSON = function(dataFile, path, documentID) {
+    var text = fs.readFileSync(dataFile, "utf8");
+    fs.writeFileSync(dataFile, jsonPatch.setValue(text, path.concat("document_id"), documentID));
+}
+
+// A run can upload many packages that share fragments. Fragments are
+// remembered here by file path and by document ID, so each is saved once and
+// the other packages reuse its ID. `users` lists, by document ID, the data
+// files of the packages that use a shared fragment or piece.
+var createUploadContext = function() {
+    return { fragments: {}, keys: {}, pieces: {}, users: {}, transitioned: {}, deleted: {}, documentTypes: {} };
+}
+
+var useSharedDocument = function(context, documentID, dataFile) {
+    var users = context.users[documentID] = context.users[documentID] || [];
+    if (users.indexOf(dataFile) === -1) {
+        users.push(dataFile);
+    }
+}
+
+var saveSharedFragment = function(context, fragment) {
+    var keys = [fragment["filepath"]].concat(fragment["document_id"] ? ["id:" + fragment["document_id"]] : []);
+    var known = keys.map(key => context.fragments[key]).find(saving => saving);
+
+    if (known) {
+        return known.then(saved => ({ id: saved.id, created: false, shared: true, fields: [], file: false }));
+    }
+
+    var saving = createEmailFragment(fragment);
+    keys.forEach(key => context.fragments[key] = saving);
+    saving.then(saved => {
+        context.fragments["id:" + saved.id] = saving;
+        context.keys[saved.id] = keys.concat("id:" + saved.id);
+    }, () => {});
+    return saving;
+}
+
+// The promotional piece of a shared fragment is saved by the package that
+// saved the fragment. The others wait here for it, by fragment ID, to write
+// the piece's ID to their own data file.
+var sharedPiece = function(context, fragmentID) {
+    if (!context.pieces[fragmentID]) {
+        var entry = {};
+        entry.saved = new Promise((resolve, reject) => Object.assign(entry, { resolve: resolve, reject: reject }));
+        entry.saved.catch(() => {}); // the package that saved it reports the error
+        context.pieces[fragmentID] = entry;
+    }
+    return context.pieces[fragmentID];
+}
+
+// After a rollback deleted them, other packages must not reuse these.
+var forgetSharedFragments = function(context, documentIDs) {
+    documentIDs.forEach(id => {
+        (context.keys[id] || []).forEach(key => delete context.fragments[key]);
+        delete context.keys[id];
+        delete context.pieces[id];
+    });
+}
+
+// Creates or updates the template, then each fragment in turn, and finally
+// makes the template's relationships match the fragments. Every new ID is
+// written back to `dataFile`, and every change recorded in `journal`.
+// Resolves with what was done to each document.
+var uploadEmail = function(dataFile, emailData, context, journal) {
+    var result = { template: null, fragments: [], pieces: [], links: null };
+
+    var recordID = (documentData, path, saved) => {
+        saved.name = documentData["name__v"];
+        saved.type = documentData["type__v"];
+        if (saved.created) {
+            uploadJournal.record(journal, {
+                type: "document", id: saved.id, name: saved.name, dataFile: dataFile, path: path
+            });
+        }
+        if (documentData["document_id"] !== saved.id) {
+            documentData["document_id"] = saved.id;
+            saveUpdatedJSON(dataFile, path, saved.id);
+        }
+        return saved;
+    };
+
+    return createEmailTemplate(emailData)
+        .then(saved => {
+            result.template = recordID(emailData, [], saved);
+
+            return emailData["relations"].reduce((previous, fragment, index) => {
+                return previous
+                    .then(() => saveSharedFragment(context, fragment))
+                    .then(saved => {
+                        var piecePath = ["relations", index, "promotional_piece"];
+                        var piece = fragment["promotional_piece"];
+                        var shared = sharedPiece(context, saved.id);
+                        useSharedDocument(context, saved.id, dataFile);
+                        result.fragments.push(recordID(fragment, ["relations", index], saved));
+
+                        if (!saved.shared) {
+                            return savePromotionalPiece(fragment, journal, recordID, piecePath).then(savedPiece => {
+                                if (savedPiece) {
+                                    useSharedDocument(context, savedPiece.id, dataFile);
+                                }
+                                shared.resolve(savedPiece);
+                                return savedPiece && result.pieces.push(savedPiece);
+                            }, error => {
+                                shared.reject(error);
+                                throw error;
+                            });
+                        }
+                        // A package that shares the fragment uploaded its piece.
+                        if (piece && piece["filepath"] !== undefined) {
+                            return shared.saved.then(savedPiece => {
+                                if (savedPiece) {
+                                    useSharedDocument(context, savedPiece.id, dataFile);
+                                    recordID(piece, piecePath, { id: savedPiece.id, created: false });
+                                }
+                            });
+                        }
+                    });
+            }, Promise.resolve());
+        })
+        .then(() => linkEmailFragments(result.template.id, emailData["relations"], journal))
+        .then(links => {
+            result.links = links;
+            return result;
+        });
+}
+
+// "Email Fragment" -> "Email fragment", "fragment" -> "Fragment"
+var documentLabel = function(type) {
+    return type.charAt(0).toUpperCase() + type.slice(1).toLowerCase();
+}
+
+var describeChanges = function(saved) {
+    if (saved.created) {
+        return "created";
+    }
+    if (saved.shared) {
+        return "shared, saved by another package";
+    }
+    var changed = saved.fields.concat(saved.file ? ["file"] : []);
+    return changed.length ? "updated " + changed.join(", ") : "unchanged";
+}
+
+var printSummary = function(result) {
+    console.log("Email template \"" + result.template.name + "\": " + result.template.id
+        + " (" + describeChanges(result.template) + ")");
+    result.fragments.forEach(fragment => {
+        console.log("  " + documentLabel(fragment.type) + " \"" + fragment.name + "\": " + fragment.id
+            + " (" + describeChanges(fragment) + ")");
+    });
+    result.pieces.forEach(piece => {
+        if (!piece.referenced) {
+            console.log("  Promotional piece \"" + piece.name + "\": " + piece.id
+                + " (" + describeChanges(piece) + ")");
+        }
+        piece.links.added.forEach(id => console.log("  Linked promotional piece " + id + " to fragment " + piece.fragmentID));
+        piece.links.removed.forEach(id => console.log("  Unlinked promotional piece " + id + " from fragment " + piece.fragmentID));
+    });
+    result.links.added.forEach(id => console.log("  Linked fragment " + id));
+    result.links.removed.forEach(id => console.log("  Unlinked fragment " + id));
+}
+
+//////////////
+// Planning //
+//////////////
+
+// Works out what `uploadEmail` would do, using only read-only Vault calls.
+var planDocument = function(documentData) {
+    if (!documentData["document_id"]) {
+        return Promise.resolve({ name: documentData["name__v"], type: documentData["type__v"], action: "create" });
+    }
+    return vault.getDocument(documentData["document_id"]).then(vaultDocument => {
+        var changes = diffDocument(documentData, vaultDocument);
+        var changed = Object.keys(changes.fields).length > 0 || changes.file;
+        return {
+            name: documentData["name__v"],
+            type: documentData["type__v"],
+            id: documentData["document_id"],
+            action: changed ? "update" : "unchanged",
+            fields: changes.fields,
+            file: changes.file
+        };
+    });
+}
+
+// Which relationships of an existing document would be added and removed.
+// Documents we'd create don't have any yet.
+var planLinks = function(documentID, links, types) {
+    if (!documentID) {
+        return Promise.resolve({ add: links.map(link => link.id), remove: [] });
+    }
+    return documentVersion(documentID)
+        .then(document => vault.getDocumentRelationships(document))
+        .then(relationships => {
+            var changes = diffRelationships(documentID, relationships || [], links, types);
+            return {
+                add: changes.add.map(link => link.id),
+                remove: changes.remove.map(relationship => String(relationship["target_doc_id__v"]))
+            };
+        });
 }
 
-var linkEmailFragment = function(templateID, fragmentID) {
+// Documents we'd create are named instead of given by ID.
+var linkTarget = function(documentData) {
+    return documentData["document_id"] ? String(documentData["document_id"]) : "\"" + documentData["name__v"] + "\"";
+}
+
+var planEmail = function(emailData) {
+    var plan = {};
+    var fragments = emailData["relations"];
+    var templateLinks = fragments.map(fragment => ({ id: linkTarget(fragment), type: RELATIONSHIP_TYPES[fragment["type__v"]] }));
+    var pieceFragments = fragments.filter(fragment => fragment["promotional_piece"]);
+
+    return planDocument(emailData)
+        .then(template => plan.template = template)
+        .then(() => Promise.all(fragments.map(planDocument)))
+        .then(planned => plan.fragments = planned)
+        .then(() => Promise.all(uploadedPieces(emailData).map(entry => planDocument(entry.data))))
+        .then(planned => plan.pieces = planned)
+        .then(() => planLinks(emailData["document_id"], templateLinks, TEMPLATE_RELATIONSHIPS))
+        .then(links => plan.links = links)
+        .then(() => Promise.all(pieceFragments.map(fragment => {
+            var link = { id: linkTarget(fragment["promotional_piece"]), type: PROMOTIONAL_PIECE_RELATIONSHIP };
+            return planLinks(fragment["document_id"], [link], [PROMOTIONAL_PIECE_RELATIONSHIP])
+                .then(links => Object.assign({ fragment: linkTarget(fragment) }, links));
+        })))
+        .then(pieceLinks => {
+            plan.pieceLinks = pieceLinks;
+            return plan;
+        });
+}
+
+var printPlan = function(dataFile, plan) {
+    var describe = (label, planned) => {
+        var line = "  " + label + " \"" + planned.name + "\": " + planned.action;
+        if (planned.id) {
+            line += " " + planned.id;
+        }
+        console.log(line);
+        Object.keys(planned.fields || {}).forEach(field => {
+            console.log("      " + field + ": " + JSON.stringify(planned.fields[field].from)
+                + " -> " + JSON.stringify(planned.fields[field].to));
+        });
+        if (planned.action === "update" && planned.file) {
+            console.log("      file content differs");
+        }
+    };
+
+    console.log("Plan for " + dataFile + " (dry run, nothing was changed):");
+    describe("Email template", plan.template);
+    plan.fragments.forEach(fragment => describe(documentLabel(fragment.type), fragment));
+    plan.pieces.forEach(piece => describe("Promotional piece", piece));
+    plan.links.add.forEach(id => console.log("  Link fragment " + id));
+    plan.links.remove.forEach(id => console.log("  Unlink fragment " + id));
+    plan.pieceLinks.forEach(links => {
+        links.add.forEach(id => console.log("  Link promotional piece " + id + " to fragment " + links.fragment));
+        links.remove.forEach(id => console.log("  Unlink promotional piece " + id + " from fragment " + links.fragment));
+    });
+}
+
+//////////////////////
+// Other operations //
+//////////////////////
+
+// Compares one document of the package with Vault.
+var documentStatus = function(kind, documentData) {
+    var status = {
+        kind: kind,
+        name: documentData["name__v"],
+        id: documentData["document_id"] || null,
+        uploaded: Boolean(documentData["document_id"])
+    };
+    if (!status.uploaded) {
+        return Promise.resolve(status);
+    }
+    return vault.getDocument(documentData["document_id"]).then(document => {
+        var changes = diffDocument(documentData, document);
+        status.version = document["major_version_number__v"] + "." + document["minor_version_number__v"];
+        status.state = document["status__v"];
+        status.fields = {};
+        Object.keys(changes.fields).forEach(field => {
+            status.fields[field] = { vault: changes.fields[field].from, local: changes.fields[field].to };
+        });
+        status.file = changes.file;
+        return status;
+    });
+}
+
+// The kinds of document a status report lists.
+var STATUS_KINDS = {
+    "Email Template": "template",
+    "Email Fragment": "fragment",
+    "Template Fragment": "template fragment"
+};
+
+// The targets of a document's relationships of the given types, as
+// [{ id, type }]. Documents that aren't uploaded have none.
+var linkedDocuments = function(documentID, types, client) {
+    client = client || vault;
+    if (!documentID) {
+        return Promise.resolve([]);
+    }
+    return documentVersion(documentID, client)
+        .then(document => client.getDocumentRelationships(document))
+        .then(relationships => outgoingRelationships(documentID, relationships || [], types)
+            .map(relationship => ({ id: String(relationship["target_doc_id__v"]), type: relationship["relationship_type__v"] })));
+}
+
+// Reports how the package differs from what is in Vault: metadata and HTML
+// of every document (promotional pieces we upload included), fragments
+// linked to the template in Vault but not in `relations` (or the other way
+// round), and promotional pieces not linked to their fragment. Also has each
+// document's version and lifecycle state.
+//
+// {
+//   inSync: boolean
+//   documents: [{ kind, name, id, uploaded, version, state, fields, file }, ...]
+//     kind: "template", "fragment", "template fragment" or "promotional piece"
+//     fields: { field: { vault, local }, ... } the metadata that differs
+//     file: true if the file in Vault differs from the local one
+//   fragments: {
+//     unlinked: [{ name, id, kind }, ...] in relations, but not linked in Vault
+//     unlisted: [id, ...] linked in Vault, but not in relations
+//   }
+//   pieces: {
+//     unlinked: [{ fragment, id }, ...] not linked to their fragment in Vault
+//     unlisted: [{ fragment, id }, ...] other pieces linked to those fragments
+//   }
+// }
+var statusEmail = function(emailData) {
+    var report = { documents: [], fragments: { unlinked: [], unlisted: [] }, pieces: { unlinked: [], unlisted: [] } };
+    var fragments = emailData["relations"];
+    var pieceFragments = fragments.filter(fragment => fragment["document_id"]
+        && fragment["promotional_piece"] && fragment["promotional_piece"]["document_id"]);
+    var linkKey = link => link.type + ":" + link.id;
+
+    return Promise.all([documentStatus("template", emailData)]
+            .concat(fragments.map(fragment => documentStatus(STATUS_KINDS[fragment["type__v"]], fragment)))
+            .concat(uploadedPieces(emailData).map(entry => documentStatus("promotional piece", entry.data))))
+        .then(documents => report.documents = documents)
+        .then(() => linkedDocuments(emailData["document_id"], TEMPLATE_RELATIONSHIPS))
+        .then(linked => {
+            var wanted = fragmentLinks(fragments.filter(fragment => fragment["document_id"]));
+            var linkedKeys = linked.map(linkKey);
+            var wantedKeys = wanted.map(linkKey);
+
+            report.fragments.unlinked = fragments
+                .filter(fragment => fragment["document_id"] && emailData["document_id"]
+                    && linkedKeys.indexOf(linkKey(fragmentLinks([fragment])[0])) === -1)
+                .map(fragment => ({ name: fragment["name__v"], id: fragment["document_id"], kind: STATUS_KINDS[fragment["type__v"]] }));
+            report.fragments.unlisted = linked.filter(link => wantedKeys.indexOf(linkKey(link)) === -1).map(link => link.id);
+        })
+        .then(() => Promise.all(pieceFragments.map(fragment => {
+            var pieceID = String(fragment["promotional_piece"]["document_id"]);
+            return linkedDocuments(fragment["document_id"], [PROMOTIONAL_PIECE_RELATIONSHIP]).then(linked => {
+                var linkedIDs = linked.map(link => link.id);
+                if (linkedIDs.indexOf(pieceID) === -1) {
+                    report.pieces.unlinked.push({ fragment: String(fragment["document_id"]), id: pieceID });
+                }
+                linkedIDs
+                    .filter(id => id !== pieceID)
+                    .forEach(id => report.pieces.unlisted.push({ fragment: String(fragment["document_id"]), id: id }));
+            });
+        })))
+        .then(() => {
+            report.inSync = report.fragments.unlinked.length === 0
+                && report.fragments.unlisted.length === 0
+                && report.pieces.unlinked.length === 0
+                && report.pieces.unlisted.length === 0
+                && report.documents.every(document => document.uploaded
+                    && Object.keys(document.fields).length === 0 && !document.file);
+            return report;
+        });
+}
+
+var printStatus = function(dataFile, report) {
+    console.log("Status of " + dataFile + ":");
+    report.documents.forEach(document => {
+        var label = document.kind === "template" || document.kind === "fragment" ? "email " + document.kind : document.kind;
+        var line = "  " + documentLabel(label) + " \"" + document.name + "\": ";
+        if (!document.uploaded) {
+            return console.log(line + "not uploaded");
+        }
+        console.log(line + document.id + ", version " + document.version + ", " + document.state);
+        Object.keys(document.fields).forEach(field => {
+            console.log("      " + field + ": " + JSON.stringify(document.fields[field].vault)
+                + " in Vault, " + JSON.stringify(document.fields[field].local) + " here");
+        });
+        if (document.file) {
+            console.log("      file content differs from the local file");
+        }
+    });
+    report.fragments.unlinked.forEach(fragment => {
+        console.log("  " + documentLabel(fragment.kind) + " \"" + fragment.name + "\" (" + fragment.id + ") is not linked to the template in Vault");
+    });
+    report.fragments.unlisted.forEach(id => {
+        console.log("  Fragment " + id + " is linked to the template in Vault, but not in relations");
+    });
+    report.pieces.unlinked.forEach(piece => {
+        console.log("  Promotional piece " + piece.id + " is not linked to fragment " + piece.fragment + " in Vault");
+    });
+    report.pieces.unlisted.forEach(piece => {
+        console.log("  Promotional piece " + piece.id + " is linked to fragment " + piece.fragment + " in Vault, but not in the data file");
+    });
+    console.log(report.inSync ? "  In sync with Vault" : "  Differs from Vault");
+}
+
+// Deletes a document from Vault. Resolves with false instead if it is gone
+// already (say, deleted by hand), so its ID can be cleared all the same.
+var deleteVaultDocument = function(documentID) {
+    return vault.deleteDocument(documentID).then(() => true, error => {
+        return vault.query("SELECT id FROM documents WHERE id = " + vault.quoteVQL(documentID)).then(records => {
+            if (records.length) {
+                throw error;
+            }
+            return false;
+        });
+    });
+}
+
+// Deletes every uploaded document of the package, template first, and clears
+// its `document_id` in the data file. Promotional pieces that are only
+// referenced by ID are not ours to delete. A fragment other packages of this
+// run share is deleted once; `context.deleted` remembers it by ID.
+var deleteEmail = function(dataFile, emailData, context) {
+    var documents = [{ data: emailData, path: [] }].concat(
+        emailData["relations"].map((fragment, index) => ({ data: fragment, path: ["relations", index] })),
+        uploadedPieces(emailData));
+
+    return documents
+        .filter(entry => entry.data["document_id"])
+        .reduce((previous, entry) => previous.then(() => {
+            var id = String(entry.data["document_id"]);
+            var label = "\"" + entry.data["name__v"] + "\" (" + id + ")";
+            var shared = Boolean(context.deleted[id]);
+            if (!shared) {
+                context.deleted[id] = deleteVaultDocument(id);
+            }
+
+            return context.deleted[id].then(deleted => {
+                if (shared) {
+                    console.log(label + " was deleted with another package");
+                } else {
+                    console.log(deleted ? "Deleted " + label : label + " is no longer in Vault");
+                }
+                saveUpdatedJSON(dataFile, entry.path, null);
+            });
+        }), Promise.resolve());
+}
+
+// Finds a lifecycle action by its name or label (ignoring case).
+var findAction = function(actions, wanted) {
+    wanted = String(wanted).toLowerCase();
+    return actions.find(action => String(action["name__v"]).toLowerCase() === wanted
+        || String(action["label__v"]).toLowerCase() === wanted);
+}
+
+// The action --submit-for-review runs, unless --action names another one.
+var REVIEW_ACTION = "Submit for Review";
+
+// Runs a lifecycle action (e.g. "Submit for Review") on the template and
+// every fragment. All documents are checked first, so that an action one of
+// them doesn't have runs on none. Vault can't undo an action though, so if one
+// fails halfway (say, the network goes down), the documents already moved on
+// stay where they are; the error names them. Fragments another package of
+// this run already moved on are skipped.
+var transitionEmail = function(emailData, actionName, context) {
+    var documents = [emailData].concat(emailData["relations"])
+        .filter(documentData => !context.transitioned[documentData["document_id"]]);
+
+    var missing = documents.filter(documentData => !documentData["document_id"]);
+    if (missing.length) {
+        return Promise.reject(Error("Upload these first: " + missing.map(documentData => "\"" + documentData["name__v"] + "\"").join(", ")));
+    }
+
+    return Promise.all(documents.map(documentData => {
+        return documentVersion(documentData["document_id"]).then(version => {
+            return vault.getDocumentActions(version).then(actions => ({
+                documentData: documentData,
+                version: version,
+                actions: actions,
+                action: findAction(actions, actionName)
+            }));
+        });
+    })).then(checked => {
+        var unavailable = checked.filter(entry => !entry.action);
+        if (unavailable.length) {
+            // The state only matters for the error message.
+            return Promise.all(unavailable.map(entry => vault.getDocument(entry.version.id))).then(states => {
+                throw Error(unavailable.map((entry, index) => "\"" + actionName + "\" is not available for \""
+                    + entry.documentData["name__v"] + "\" in state " + states[index]["status__v"] + ". Available actions: "
+                    + (entry.actions.map(action => action["label__v"] + " (" + action["name__v"] + ")").join(", ") || "none")).join("\n"));
+            });
+        }
+
+        var done = [];
+        return checked.reduce((previous, entry) => previous
+            .then(() => vault.runDocumentAction(entry.version, entry.action["name__v"]))
+            .then(() => {
+                context.transitioned[entry.version.id] = true;
+                done.push(entry);
+                console.log(entry.action["label__v"] + ": \"" + entry.documentData["name__v"] + "\" (" + entry.version.id + ")");
+            }), Promise.resolve())
+            .catch(error => {
+                if (done.length) {
+                    error.message += "\n\"" + actionName + "\" already ran on "
+                        + done.map(entry => "\"" + entry.documentData["name__v"] + "\" (" + entry.version.id + ")").join(", ")
+                        + ", and Vault can't undo that: move them back in Vault before you try again";
+                }
+                throw error;
+            });
+    });
+}
+
+/////////////
+// Pulling //
+/////////////
+
+// The data file fields of a template, in the order we write them. Fragments
+// only get the ones they don't share with the template.
+var TEMPLATE_FIELDS = Object.keys(EmailTemplate)
+    .map(key => key.replace(/\?$/, ""))
+    .filter(key => /__[vc]$/.test(key));
+var FRAGMENT_FIELDS = ["name__v", "type__v", "product__v", "country__v"];
+
+// Vault hands back object references as lists of IDs and booleans as
+// booleans; the data file has single strings.
+var dataFileValue = function(vaultValue) {
+    var value = Array.isArray(vaultValue) ? vaultValue[0] : vaultValue;
+    return value === undefined || value === null ? undefined : String(value);
+}
+
+var safeFileName = function(name) {
+    return String(name).replace(/[\/\\:*?"<>|]+/g, "-").trim();
+}
+
+// Downloads the source file of a document into `outDir`. A zip (HTML with
+// its assets) is unpacked there. Resolves with the name of the HTML file.
+var pullSourceFile = function(document, outDir, client) {
+    var download = path.join(os.tmpdir(), "veeva-email-pull-" + document.id + "-" + process.pid);
+
+    return client.downloadDocumentFile({ id: document.id }, download).then(file => {
+        var content = fs.readFileSync(download);
+        fs.unlinkSync(download);
+
+        var isZip = content.slice(0, 2).toString("latin1") === "PK";
+        if (!isZip) {
+            var htmlName = safeFileName(file.filename || document["name__v"] + ".html");
+            fs.writeFileSync(path.join(outDir, htmlName), content);
+            return htmlName;
+        }
+
+        var entries = emailAssets.readZip(content);
+        var html = entries.find(entry => /\.html?$/i.test(entry.name) && entry.name.indexOf("/") === -1);
+        if (!html) {
+            throw Error("The zip of \"" + document["name__v"] + "\" has no HTML file at its root");
+        }
+        entries.forEach(entry => {
+            var target = path.resolve(outDir, entry.name);
+            if (path.relative(outDir, target).indexOf("..") === 0) {
+                throw Error("The zip of \"" + document["name__v"] + "\" has a file outside its folder: " + entry.name);
+            }
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, entry.data);
+        });
+        return html.name;
+    });
+}
+
+// Promotional pieces stay in Vault; the fragment refers to the piece by ID.
+var pullPromotionalPiece = function(entry, client) {
+    if (entry["type__v"] !== "Email Fragment") {
+        return Promise.resolve();
+    }
+    return linkedDocuments(entry["document_id"], [PROMOTIONAL_PIECE_RELATIONSHIP], client).then(links => {
+        if (links.length) {
+            entry["promotional_piece"] = { document_id: links[0].id };
+        }
+    });
+}
+
+// A new folder in `outDir` for the files of a fragment, named after it. Every
+// fragment gets its own, so that files and assets of the same name (every
+// fragment's images/logo.png, say) don't overwrite each other.
+var fragmentFolder = function(outDir, fragment) {
+    var base = safeFileName(fragment["name__v"]) || "fragment-" + fragment.id;
+    var name = base;
+    for (var n = 2; fs.existsSync(path.join(outDir, name)); n++) {
+        name = base + " (" + n + ")";
+    }
+    fs.mkdirSync(path.join(outDir, name));
+    return name;
+}
+
+// Writes the HTML of the template to `outDir`, and that of every fragment
+// (and template fragment) linked to it from the vault `client` to a folder of
+// its own in there. Resolves with the data file content, all document IDs
+// filled in.
+var pullPackage = function(templateID, outDir, client) {
+    var data = { version: DATA_VERSION };
+    fs.mkdirSync(outDir, { recursive: true });
+
+    return client.getDocument(templateID).then(template => {
+        data["filepath"] = null;
+        TEMPLATE_FIELDS.forEach(field => data[field] = dataFileValue(template[field]));
+        data["document_id"] = String(templateID);
+        data["relations"] = [];
+
+        return pullSourceFile(template, outDir, client)
+            .then(htmlName => data["filepath"] = htmlName)
+            .then(() => linkedDocuments(templateID, TEMPLATE_RELATIONSHIPS, client))
+            .then(links => links.reduce((previous, link) => previous
+                .then(() => client.getDocument(link.id))
+                .then(fragment => {
+                    var folder = fragmentFolder(outDir, fragment);
+                    return pullSourceFile(fragment, path.join(outDir, folder), client)
+                        .then(htmlName => ({ fragment: fragment, filepath: folder + "/" + htmlName }));
+                })
+                .then(pulled => {
+                    var fragment = pulled.fragment;
+                    var entry = { filepath: pulled.filepath };
+                    FRAGMENT_FIELDS
+                        .filter(field => field === "name__v" || field === "type__v"
+                            || dataFileValue(fragment[field]) !== data[field])
+                        .forEach(field => entry[field] = dataFileValue(fragment[field]));
+                    entry["document_id"] = link.id;
+                    data["relations"].push(entry);
+                    return pullPromotionalPiece(entry, client);
+                }), Promise.resolve()));
+    }).then(() => data);
+}
+
+// Does the reverse of an upload: writes the email template `templateID`, its
+// fragments and a data file for them to `outDir`.
+var pullEmail = function(templateID, outDir) {
+    var dataFile = path.join(outDir, "veeva.json");
+
+    if (fs.existsSync(dataFile)) {
+        return Promise.reject(Error(dataFile + " already exists"));
+    }
+
+    return pullPackage(templateID, outDir, vault).then(data => {
+        fs.writeFileSync(dataFile, JSON.stringify(data, null, 4) + "\n");
+        console.log("Wrote " + dataFile + " with " + data["relations"].length + " fragment(s)");
+    });
+}
+
+////////////////
+// Previewing //
+////////////////
+
+// Writes one self-contained HTML file per {{customText}} variant of the email
+// to `outDir`: fragments inserted, tokens replaced with `sample` values and
+// local images embedded. Resolves with the rendering, see
+// emailPreview.renderEmail().
+var previewEmail = function(emailData, sample, outDir) {
+    var readHTML = documentData => emailAssets.inlineAssets(
+        fs.readFileSync(documentData["filepath"], "utf8"), documentData["assets"] || []);
+    var rendered = emailPreview.renderEmail(readHTML(emailData), emailFragments(emailData).map(readHTML), sample);
+    var baseName = safeFileName(emailData["name__v"]);
+
+    // Variants are numbered with leading zeros, so they list in order.
+    var digits = String(rendered.variants.length).length;
+    fs.mkdirSync(outDir, { recursive: true });
+
+    // An earlier preview may have had other variants; those would look current.
+    var escapedName = baseName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    var previewFile = new RegExp("^" + escapedName + "( - \\d+)?\\.html$");
+    fs.readdirSync(outDir)
+        .filter(name => previewFile.test(name))
+        .forEach(name => fs.unlinkSync(path.join(outDir, name)));
+
+    rendered.variants.forEach((variant, index) => {
+        var number = String(index + 1).padStart(digits, "0");
+        var fileName = rendered.variants.length === 1 ? baseName + ".html" : baseName + " - " + number + ".html";
+        var note = variant.choices.length
+            ? "<!-- Preview with custom text: " + variant.choices.join(" / ").replace(/--/g, "- -") + " -->\n"
+            : "<!-- Preview -->\n";
+
+        fs.writeFileSync(path.join(outDir, fileName), note + variant.html);
+    });
+    console.log("Wrote " + rendered.variants.length + " preview(s) of " + emailData["name__v"] + " to " + outDir);
+
+    if (rendered.total > rendered.variants.length) {
+        console.warn(emailData["name__v"] + " has " + rendered.total + " custom text combinations, only the first "
+            + rendered.variants.length + " were written");
+    }
+    if (rendered.missing.length) {
+        console.warn("No sample value for " + rendered.missing.map(token => "{{" + token + "}}").join(", ")
+            + ", add them to the --sample file");
+    }
+    return rendered;
+}
+
+///////////////
+// Promoting //
+///////////////
+
+// Replaces the product and country IDs of the vault `client` in pulled data
+// with their names, for the upload to look up in the target vault. An ID the
+// source vault doesn't know (say, of an inactive product) can't be matched
+// by name, so it fails here. Resolves with the names by ID:
+// { field: { id: name, ... }, ... }
+var nameVaultObjects = function(data, client, host) {
+    var documents = [data].concat(data["relations"]);
+    var names = {};
+    var problems = [];
+
+    return LOOKUP_FIELDS.reduce((previous, field) => previous
+        .then(() => vaultLookups.getObjects(client, host, field))
+        .then(objects => {
+            names[field] = {};
+            documents.filter(documentData => documentData[field] !== undefined).forEach(documentData => {
+                var object = vaultLookups.findObject(objects, documentData[field]);
+                if (!object) {
+                    return problems.push("\"" + documentData["name__v"] + "\" has " + field + " " + documentData[field]
+                        + ", which is not in the source vault");
+                }
+                names[field][object.id] = object["name__v"];
+                documentData[field] = object["name__v"];
+            });
+        }), Promise.resolve()).then(() => {
+            if (problems.length) {
+                throw Error(problems.join("\n") + "\nUse pull instead, set these to their names in the target vault"
+                    + " and upload the pulled package");
+            }
+            return names;
+        });
+}
 
+// Promotional pieces live in the source vault only, so fragments lose their
+// reference to one. Returns what was removed as [{ fragment, id }].
+var dropPromotionalPieces = function(data) {
+    return data["relations"].filter(fragment => fragment["promotional_piece"]).map(fragment => {
+        var id = fragment["promotional_piece"]["document_id"];
+        delete fragment["promotional_piece"];
+        return { fragment: fragment["name__v"], id: id };
+    });
 }
 
-var saveUpdatedJSON = function(emailTemplate) {
+// Copies the email template `templateID` and its fragments from the vault
+// `source` ({ client, credentials }) to the vault we upload to. The package
+// is pulled to `outDir` and uploaded from there as new documents, with
+// products and countries matched by name. promotion.json in `outDir` then
+// maps every source document and object ID to its ID in the target vault:
+// {
+//   source: source vault host
+//   target: target vault host
+//   documents: [{ name__v, type__v, source, target }, ...]
+//   objects: { product__v: { sourceID: targetID, ... }, country__v: { ... } }
+// }
+var promoteEmail = function(templateID, outDir, source, shared) {
+    var dataFile = path.join(outDir, "veeva.json");
+    var mappingFile = path.join(outDir, "promotion.json");
+    var sourceHost = vault.normalizeHost(source.credentials.host);
+    var sourceIDs;
+    var objectNames;
+
+    if (fs.existsSync(dataFile)) {
+        return Promise.reject(Error(dataFile + " already exists. To upload it as it is, run:\n"
+            + "  node emailUpload.js upload " + dataFile));
+    }
+
+    return pullPackage(templateID, outDir, source.client).then(data => {
+        var documents = [data].concat(data["relations"]);
+        sourceIDs = documents.map(documentData => documentData["document_id"]);
+        documents.forEach(documentData => documentData["document_id"] = null);
+
+        dropPromotionalPieces(data).forEach(piece => console.warn("Fragment \"" + piece.fragment
+            + "\" is linked to promotional piece " + piece.id + " in the source vault, which is not promoted."
+            + " Add the piece's ID in the target vault to its \"promotional_piece\" and upload again."));
+
+        return nameVaultObjects(data, source.client, sourceHost).then(names => {
+            objectNames = names;
+            fs.writeFileSync(dataFile, JSON.stringify(data, null, 4) + "\n");
+            console.log("Wrote " + dataFile + " with " + data["relations"].length + " fragment(s)");
+        });
+    }).then(() => runPackage("upload", dataFile, shared)).then(summary => {
+        if (shared.options["dry-run"]) {
+            return summary;
+        }
 
+        var data = JSON.parse(fs.readFileSync(dataFile, "utf8"));
+        var mapping = {
+            source: sourceHost,
+            target: shared.credentials.host,
+            documents: [data].concat(data["relations"]).map((documentData, index) => ({
+                "name__v": documentData["name__v"],
+                "type__v": documentData["type__v"],
+                source: sourceIDs[index],
+                target: documentData["document_id"]
+            })),
+            objects: {}
+        };
+
+        return LOOKUP_FIELDS.reduce((previous, field) => previous.then(() => {
+            var ids = Object.keys(objectNames[field]);
+            var names = ids.map(id => objectNames[field][id]);
+            return vaultLookups.resolve(vault, shared.credentials.host, field, names).then(result => {
+                mapping.objects[field] = {};
+                ids.forEach(id => mapping.objects[field][id] = result.resolved[objectNames[field][id]]);
+            });
+        }), Promise.resolve()).then(() => {
+            fs.writeFileSync(mappingFile, JSON.stringify(mapping, null, 4) + "\n");
+            console.log("Wrote " + mappingFile);
+            return summary;
+        });
+    });
 }
+
 //////////
 // Main //
 //////////
 
-var secret = JSON.parse(fs.readFileSync("credentials.json", "utf8"));
-var emailData = JSON.parse(fs.readFileSync("veeva.json", "utf8"));
+var USAGE = [
+    "Usage: node emailUpload.js <command> <data.json|directory|pattern>... [options]",
+    "",
+    "Commands:",
+    "  upload       create or update the email package in Vault",
+    "  validate     check the data file without connecting to Vault",
+    "  preview      render the email with its fragments and sample data to HTML",
+    "               files, one per combination of {{customText[...]}} choices",
+    "  status       compare the package with Vault: metadata, HTML, linked",
+    "               fragments, and the lifecycle state of every document",
+    "  delete       delete the package's documents from Vault",
+    "  rollback     undo a failed upload that was not rolled back",
+    "  transition   run the lifecycle action given with --action on every document",
+    "  migrate      upgrade data files written for an older version of this tool",
+    "  pull <id>    write the Vault email template <id> and its fragments to a",
+    "               local data file and HTML (in the --out directory)",
+    "  promote <id> copy the email template <id> and its fragments from the vault",
+    "               of --source to the vault of --credentials",
+    "",
+    "Every command but pull and promote takes one or more data files. A directory stands",
+    "for the data files in it, and a pattern like campaign/*.json for the",
+    "matching ones.",
+    "",
+    "Options:",
+    "  --credentials <file>   credentials file (default: credentials.json)",
+    "  --source <file>        (promote) credentials file of the vault to copy from",
+    "  --verbose              log every Vault API call",
+    "  --concurrency <n>      how many packages to work on at once (default: 1)",
+    "  --dry-run              (upload, promote) print what would change without changing anything",
+    "  --no-rollback          (upload, promote) keep what a failed upload created",
+    "  --existing <policy>    (upload, promote) for documents without a document_id that match one",
+    "                         in Vault by name, type and product: adopt its ID, stop",
+    "                         with an error, or create another one (default: error)",
+    "  --submit-for-review    (upload, promote) afterwards, run the lifecycle action of --action",
+    "                         (default: \"Submit for Review\") on every document",
+    "  --action <action>      (transition, --submit-for-review) the lifecycle action to run, by",
+    "                         name or label; not all-or-none, see the README",
+    "  --out <dir>            (pull, promote, preview) where to write the files (default:",
+    "                         email-<id>, promote-<id>, or preview next to the data file)",
+    "  --sample <file>        (preview) JSON file with a value for every token, like",
+    "                         { \"accFname\": \"Jane\", \"User.Phone\": \"555-0100\" }",
+    "  --json                 (status) print one JSON report per data file instead"
+].join("\n");
+
+// Options that take a value; everything else is a boolean flag.
+var VALUE_OPTIONS = ["credentials", "source", "sample", "concurrency", "existing", "action", "out"];
+var FLAG_OPTIONS = ["verbose", "dry-run", "no-rollback", "submit-for-review", "json", "help"];
+
+var parseArguments = function(argv) {
+    var options = { credentials: "credentials.json", concurrency: "1", existing: "error", verbose: false, "dry-run": false, "no-rollback": false, help: false };
+    var positional = [];
+
+    for (var i = 0; i < argv.length; i++) {
+        var match = /^--([^=]+)(=(.*))?$/.exec(argv[i]);
+        if (!match) {
+            positional.push(argv[i]);
+        } else if (VALUE_OPTIONS.indexOf(match[1]) !== -1) {
+            options[match[1]] = match[2] ? match[3] : argv[++i];
+            if (options[match[1]] === undefined) {
+                throw new Error("Option --" + match[1] + " needs a value");
+            }
+        } else if (FLAG_OPTIONS.indexOf(match[1]) !== -1) {
+            options[match[1]] = true;
+        } else {
+            throw new Error("Unknown option --" + match[1]);
+        }
+    }
+
+    if (EXISTING_POLICIES.indexOf(options.existing) === -1) {
+        throw new Error("--existing needs one of " + EXISTING_POLICIES.join(", "));
+    }
+
+    options.concurrency = Number(options.concurrency);
+    if (!(options.concurrency >= 1)) {
+        throw new Error("--concurrency needs a number of at least 1");
+    }
+
+    // Without --submit-for-review, an upload would quietly ignore the action.
+    if (options.action !== undefined && !options["submit-for-review"] && ["upload", "promote"].indexOf(positional[0]) !== -1) {
+        throw new Error("--action needs --submit-for-review with " + positional[0]
+            + " (or run it on its own with the transition command)");
+    }
+
+    return { command: positional[0], args: positional.slice(1), options: options };
+}
+
+// Every data file has a `version`, which tells it apart from other JSON files
+// (like credentials) in the same directory.
+var isDataFile = function(filepath) {
+    try {
+        return JSON.parse(fs.readFileSync(filepath, "utf8")).hasOwnProperty("version");
+    } catch (e) {
+        return false;
+    }
+}
+
+var isDirectory = function(filepath) {
+    return fs.existsSync(filepath) && fs.statSync(filepath).isDirectory();
+}
+
+var hasWildcards = function(filepath) {
+    return /[*?]/.test(filepath);
+}
+
+// The data files in a directory: its *.json files, and the veeva.json of each
+// package folder in it.
+var dataFilesIn = function(dir) {
+    return fs.readdirSync(dir).sort().reduce((found, name) => {
+        var filepath = path.join(dir, name);
+        if (isDirectory(filepath)) {
+            filepath = path.join(filepath, "veeva.json");
+        } else if (!/\.json$/.test(name)) {
+            return found;
+        }
+        return isDataFile(filepath) ? found.concat(filepath) : found;
+    }, []);
+}
+
+// The existing files and directories a path names, with `*` and `?` in any
+// of its parts matched against the directory they are in.
+var expandWildcards = function(filepath) {
+    if (!hasWildcards(filepath)) {
+        return fs.existsSync(filepath) ? [filepath] : [];
+    }
+
+    var name = path.basename(filepath);
+    var pattern = new RegExp("^" + name
+        .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, ".*")
+        .replace(/\?/g, ".") + "$");
+    return expandWildcards(path.dirname(filepath))
+        .filter(isDirectory)
+        .reduce((found, dir) => found.concat(fs.readdirSync(dir).sort()
+            .filter(entry => hasWildcards(name) ? pattern.test(entry) : entry === name)
+            .map(entry => path.join(dir, entry))), []);
+}
+
+// Turns the command line arguments into a list of data files: files are taken
+// as they are, and directories stand for the data files in them (see
+// dataFilesIn). `*` and `?` match in any part of the path, so both
+// "camp/*.json" and "camp/*/veeva.json" work.
+var findDataFiles = function(args) {
+    var dataFiles = [];
+
+    args.forEach(arg => {
+        var matches;
+        if (hasWildcards(arg)) {
+            var fixed = arg;
+            while (hasWildcards(fixed)) {
+                fixed = path.dirname(fixed);
+            }
+            if (!isDirectory(fixed)) {
+                throw new Error("No data files found for " + arg + ": there is no directory " + fixed);
+            }
+            matches = expandWildcards(arg).reduce((found, match) =>
+                found.concat(isDirectory(match) ? dataFilesIn(match) : [match].filter(isDataFile)), []);
+        } else if (isDirectory(arg)) {
+            matches = dataFilesIn(arg);
+        } else {
+            matches = [arg];
+        }
+
+        if (matches.length === 0) {
+            throw new Error("No data files found for " + arg);
+        }
+        matches.sort().forEach(match => dataFiles.indexOf(match) === -1 && dataFiles.push(match));
+    });
+
+    return dataFiles;
+}
+
+// Runs `work` for every item, at most `limit` at a time. Never rejects:
+// resolves with { item, value } or { item, error } for each item, in order.
+var runLimited = function(items, limit, work) {
+    var results = [];
+    var next = 0;
+
+    var worker = () => {
+        if (next >= items.length) {
+            return Promise.resolve();
+        }
+        var index = next++;
+        return Promise.resolve()
+            .then(() => work(items[index]))
+            .then(value => results[index] = { item: items[index], value: value },
+                error => results[index] = { item: items[index], error: error })
+            .then(worker);
+    };
+
+    var workers = [];
+    for (var i = 0; i < Math.min(limit, items.length); i++) {
+        workers.push(worker());
+    }
+    return Promise.all(workers).then(() => results);
+}
+
+var printResultTable = function(results) {
+    var width = Math.max.apply(null, results.map(result => result.item.length).concat("Package".length));
+    var pad = text => text + " ".repeat(width - text.length);
+
+    console.log("");
+    console.log(pad("Package") + "  Result");
+    results.forEach(result => {
+        var outcome = result.error
+            ? "FAILED: " + result.error.message.split("\n")[0]
+            : "ok" + (result.value ? " (" + result.value + ")" : "");
+        console.log(pad(result.item) + "  " + outcome);
+    });
+}
+
+// Every command gets a job and may resolve with a one-line summary for the
+// batch result table:
+// {
+//   dataFile: path of the data file
+//   emailData: the normalized data
+//   options: command line options
+//   credentials: the vault credentials (not for offline commands)
+//   context: shared by all packages of this run, see createUploadContext()
+// }
+var COMMANDS = {
+    upload: (job) => {
+        // A new journal would replace the old one, and with it the only record
+        // of what the earlier upload left behind in Vault.
+        if (!job.options["dry-run"] && uploadJournal.load(job.dataFile)) {
+            throw Error("An earlier upload of " + job.dataFile + " was not rolled back, undo it first:\n"
+                + "  node emailUpload.js rollback " + job.dataFile);
+        }
+        return resolveVaultObjects(job.emailData, job.credentials.host).then(renamed => {
+            renamed.forEach(entry => console.log(entry.field + " \"" + entry.value + "\" is " + entry.id));
+            return fetchDocumentTypes(job.emailData, job.credentials.host, job.context);
+        }).then(definitions => {
+            assertVaultMetadata(job.dataFile, job.emailData, definitions);
+            return handleExistingDocuments(job.dataFile, job.emailData, job.context,
+                job.options.existing, job.options["dry-run"]);
+        }).then(() => {
+            if (job.options["dry-run"]) {
+                return planEmail(job.emailData).then(plan => printPlan(job.dataFile, plan));
+            }
+            var journal = uploadJournal.create(job.dataFile);
+            return uploadEmail(job.dataFile, job.emailData, job.context, journal).then(result => {
+                uploadJournal.discard(journal);
+                printSummary(result);
+                var summary = "template " + result.template.id + " " + describeChanges(result.template)
+                    + ", " + result.fragments.length + " fragment(s)";
+
+                if (!job.options["submit-for-review"]) {
+                    return summary;
+                }
+                var action = job.options.action || REVIEW_ACTION;
+                return transitionEmail(job.emailData, action, job.context)
+                    .then(() => summary + ", " + action);
+            }, error => rollbackUpload(job, journal, error));
+        });
+    },
+    validate: (job) => {
+        // Offline, we check against the field definitions the last upload to
+        // the vault of the credentials file cached, if there are any.
+        var host = cachedHost(job.options.credentials);
+        var definitions = host ? vaultMetadata.readDefinitions(host, documentTypes(job.emailData)) : {};
+        assertVaultMetadata(job.dataFile, job.emailData, definitions);
+
+        var checked = Object.keys(definitions).length;
+        console.log(job.dataFile + " is valid" + (checked ? " (checked against the fields of " + host + ")" : ""));
+    },
+    preview: (job) => {
+        var sample = job.options.sample ? JSON.parse(fs.readFileSync(job.options.sample, "utf8")) : {};
+        var outDir = job.options.out || path.join(path.dirname(job.dataFile), "preview");
+        return previewEmail(job.emailData, sample, outDir).variants.length + " variant(s)";
+    },
+    status: (job) => {
+        return resolveVaultObjects(job.emailData, job.credentials.host)
+            .then(() => statusEmail(job.emailData))
+            .then(report => {
+                if (job.options.json) {
+                    console.log(JSON.stringify(Object.assign({ dataFile: job.dataFile }, report)));
+                } else {
+                    printStatus(job.dataFile, report);
+                }
+                return report.inSync ? "in sync" : "differs from Vault";
+            });
+    },
+    delete: (job) => deleteEmail(job.dataFile, job.emailData, job.context),
+    transition: (job) => {
+        if (!job.options.action) {
+            throw Error("Command \"transition\" needs --action <name>");
+        }
+        return transitionEmail(job.emailData, job.options.action, job.context);
+    },
+    migrate: (job) => {
+        var result = dataMigrations.upgradeText(fs.readFileSync(job.dataFile, "utf8"), job.dataFile);
+        if (result.steps.length === 0) {
+            console.log(job.dataFile + " is up to date (version " + result.from + ")");
+            return "up to date";
+        }
+        // Check the result before replacing a file that works with an older tool.
+        normalizeData(result.data, path.dirname(job.dataFile), job.dataFile);
+        fs.writeFileSync(job.dataFile, result.text);
+        console.log("Migrated " + job.dataFile + ":");
+        result.steps.forEach(step => console.log("  " + step));
+        return result.from + " -> " + DATA_VERSION;
+    },
+    rollback: (job) => {
+        var journal = uploadJournal.load(job.dataFile);
+        if (!journal) {
+            return console.log("Nothing to roll back for " + job.dataFile);
+        }
+        return uploadJournal.rollback(vault, journal, message => console.log(message));
+    }
+};
+
+// The vault host of a credentials file, as authenticate() writes it (and
+// the cache keys it), or null without a credentials file.
+var cachedHost = function(credentialsFile) {
+    if (!fs.existsSync(credentialsFile)) {
+        return null;
+    }
+    var host = JSON.parse(fs.readFileSync(credentialsFile, "utf8")).host;
+    return host ? vault.normalizeHost(host) : null;
+}
+
+// Undoes what a failed upload created (unless --no-rollback), then fails
+// with the upload's error. A shared fragment (or piece) it created that
+// another package of the run uses too is not deleted, but stays in the
+// journal.
+var rollbackUpload = function(job, journal, error) {
+    if (journal.entries.length === 0) {
+        throw error;
+    }
+    var keep = () => new Error(error.message + "\nTo undo what the upload changed, run:\n"
+        + "  node emailUpload.js rollback " + job.dataFile);
+
+    if (job.options["no-rollback"]) {
+        throw keep();
+    }
+
+    var otherUsers = entry => (job.context.users[entry.id] || []).filter(user => user !== job.dataFile);
+    var kept = journal.entries.filter(entry => entry.type === "document" && otherUsers(entry).length);
+    var deleted = journal.entries.filter(entry => entry.type === "document" && kept.indexOf(entry) === -1);
+
+    // Forget them first, so no other package takes them while we delete them.
+    forgetSharedFragments(job.context, deleted.map(entry => entry.id));
+    Object.keys(job.context.users).forEach(id => {
+        job.context.users[id] = job.context.users[id].filter(user => user !== job.dataFile);
+    });
+
+    console.error("Upload of " + job.dataFile + " failed, rolling back");
+    var report = message => console.error("  " + message);
+    return uploadJournal.rollback(vault, journal, report, entry => kept.indexOf(entry) !== -1).then(() => {
+        kept.forEach(entry => console.warn("Warning: kept \"" + entry.name + "\" (" + entry.id + "), "
+            + otherUsers(entry).join(", ") + " use(s) it too; it stays in " + journal.file));
+        throw error;
+    }, rollbackError => {
+        console.error("Rollback failed: " + rollbackError.message);
+        throw keep();
+    });
+}
+
+// Commands that don't work on data files. They get the command line
+// arguments, options and vault credentials, and run once logged in to Vault.
+var VAULT_COMMANDS = {
+    pull: (args, options) => {
+        if (args.length !== 1) {
+            throw Error("Command \"pull\" needs exactly one template document ID");
+        }
+        return pullEmail(args[0], options.out || "email-" + args[0]);
+    },
+    promote: (args, options, credentials) => {
+        if (args.length !== 1) {
+            throw Error("Command \"promote\" needs exactly one template document ID");
+        }
+        if (!options.source) {
+            throw Error("Command \"promote\" needs --source <file> with the credentials of the vault to copy from");
+        }
+        var source = { credentials: JSON.parse(fs.readFileSync(options.source, "utf8")) };
+        var shared = { options: options, context: createUploadContext(), credentials: credentials };
+        source.client = vault.createClient(source.credentials, { verbose: options.verbose });
+
+        // A dry run pulls into a temporary folder, so that it leaves no data
+        // file behind for the real promote to refuse.
+        if (!options["dry-run"]) {
+            return source.client.authenticate()
+                .then(() => promoteEmail(args[0], options.out || "promote-" + args[0], source, shared));
+        }
+        var outDir = fs.mkdtempSync(path.join(os.tmpdir(), "veeva-email-promote-"));
+        var cleanUp = () => fs.rmSync(outDir, { recursive: true, force: true });
+        return source.client.authenticate()
+            .then(() => promoteEmail(args[0], outDir, source, shared))
+            .then(summary => {
+                cleanUp();
+                return summary;
+            }, error => {
+                cleanUp();
+                throw error;
+            });
+    }
+};
+
+// Commands that can run without logging in to Vault.
+var OFFLINE_COMMANDS = ["validate", "migrate", "preview"];
 
-var normalizedEmailData = normalizeData(emailData)
-// console.log(normalizedEmailData)
+// Commands that check the email HTML first.
+var LINTED_COMMANDS = ["upload", "validate"];
 
-// upload stuf!!!
-// vault.verbose(true);
+// Commands that don't need the data file to be valid.
+var UNCHECKED_COMMANDS = ["rollback", "migrate"];
+
+// Commands that write document IDs back to the data file. Those need the file
+// in the current format, as they patch it in place.
+var WRITING_COMMANDS = ["upload", "delete"];
+
+// Reads a data file, upgrading older formats in memory.
+var loadDataFile = function(command, dataFile) {
+    var result = dataMigrations.upgrade(JSON.parse(fs.readFileSync(dataFile, "utf8")), dataFile);
+    if (result.steps.length && WRITING_COMMANDS.indexOf(command) !== -1) {
+        throw Error(dataFile + " is in the old format " + result.from + ", run this first:\n"
+            + "  node emailUpload.js migrate " + dataFile);
+    }
+    return normalizeData(result.data, path.dirname(dataFile), dataFile);
+}
+
+var runPackage = function(command, dataFile, shared) {
+    var job = Object.assign({ dataFile: dataFile }, shared);
+    if (UNCHECKED_COMMANDS.indexOf(command) !== -1) {
+        return COMMANDS[command](job);
+    }
+    job.emailData = loadDataFile(command, dataFile);
+    if (LINTED_COMMANDS.indexOf(command) !== -1) {
+        assertLintClean(job.emailData);
+    }
+    return COMMANDS[command](job);
+}
 
-vault.authenticate(secret)
-    .then(function() {
-        return createEmailTemplate(normalizedEmailData);
-    }).then( ret => { console.log(ret); return ret})
-    .catch(function(e) {
-        console.log("Error using Vault API:", e.message);
+var main = function(argv) {
+    return Promise.resolve().then(() => {
+        var cli = parseArguments(argv);
+
+        if (cli.options.help || !cli.command) {
+            return console.log(USAGE);
+        }
+        if (VAULT_COMMANDS[cli.command]) {
+            var credentials = JSON.parse(fs.readFileSync(cli.options.credentials, "utf8"));
+            vault.verbose(cli.options.verbose);
+            return vault.authenticate(credentials)
+                .then(() => VAULT_COMMANDS[cli.command](cli.args, cli.options, credentials));
+        }
+        if (!COMMANDS[cli.command]) {
+            throw new Error("Unknown command \"" + cli.command + "\"\n\n" + USAGE);
+        }
+        if (cli.args.length === 0) {
+            throw new Error("Command \"" + cli.command + "\" needs a data file\n\n" + USAGE);
+        }
+
+        var dataFiles = findDataFiles(cli.args);
+        var shared = { options: cli.options, context: createUploadContext() };
+        var connected = Promise.resolve();
+
+        if (OFFLINE_COMMANDS.indexOf(cli.command) === -1) {
+            shared.credentials = JSON.parse(fs.readFileSync(cli.options.credentials, "utf8"));
+            vault.verbose(cli.options.verbose);
+            connected = vault.authenticate(shared.credentials);
+        }
+
+        // A single package simply fails; in a batch, one failed package
+        // doesn't stop the others.
+        if (dataFiles.length === 1) {
+            return connected.then(() => runPackage(cli.command, dataFiles[0], shared));
+        }
+
+        return connected
+            .then(() => runLimited(dataFiles, cli.options.concurrency, dataFile => {
+                return Promise.resolve().then(() => runPackage(cli.command, dataFile, shared)).catch(e => {
+                    console.error("Error in " + dataFile + ": " + e.message);
+                    throw e;
+                });
+            }))
+            .then(results => {
+                // Keep --json output parseable.
+                if (!cli.options.json) {
+                    printResultTable(results);
+                }
+                var failed = results.filter(result => result.error).length;
+                if (failed) {
+                    throw new Error(failed + " of " + results.length + " package(s) failed");
+                }
+            });
     });
+}
+
+// The tests run commands in-process through main().
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .catch(function(e) {
+            console.error("Error:", e.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    main: main
+};
@@ -0,0 +1,167 @@
+/**
+ * Change single values in a JSON document without reformatting it.
+ *
+ * JSON.stringify() would throw away our hand-made layout (key order survives,
+ * but blank lines and indentation don't), so instead we locate the value in the
+ * source text and splice the new value in.
+ */
+
+/**
+ * Parse the JSON text into a tree of nodes that remember where in the text
+ * they start and end.
+ *
+ * @return object node
+ * {
+ *   type: "object" | "array" | "value",
+ *   start: int offset of the first character
+ *   end: int offset after the last character
+ *   members: (objects) array of { key: string, value: node }
+ *   items: (arrays) array of nodes
+ * }
+ */
+var parse = function(text) {
+    var i = 0;
+
+    var skipWhitespace = function() {
+        while (i < text.length && /\s/.test(text[i])) {
+            i++;
+        }
+    };
+
+    var fail = function(expected) {
+        throw new Error("Invalid JSON at offset " + i + ": expected " + expected);
+    };
+
+    var parseString = function() {
+        var start = i;
+        i++; // opening quote
+        while (i < text.length && text[i] !== '"') {
+            i += text[i] === "\\" ? 2 : 1;
+        }
+        if (i >= text.length) {
+            fail("closing quote");
+        }
+        i++; // closing quote
+        return JSON.parse(text.slice(start, i));
+    };
+
+    var parseValue = function() {
+        skipWhitespace();
+        var start = i;
+
+        if (text[i] === "{") {
+            var members = [];
+            i++;
+            skipWhitespace();
+            while (text[i] !== "}") {
+                if (text[i] !== '"') {
+                    fail("a key");
+                }
+                var key = parseString();
+                skipWhitespace();
+                if (text[i] !== ":") {
+                    fail("':'");
+                }
+                i++;
+                members.push({ key: key, value: parseValue() });
+                skipWhitespace();
+                if (text[i] === ",") {
+                    i++;
+                    skipWhitespace();
+                } else if (text[i] !== "}") {
+                    fail("',' or '}'");
+                }
+            }
+            i++;
+            return { type: "object", start: start, end: i, members: members };
+        }
+
+        if (text[i] === "[") {
+            var items = [];
+            i++;
+            skipWhitespace();
+            while (text[i] !== "]") {
+                items.push(parseValue());
+                skipWhitespace();
+                if (text[i] === ",") {
+                    i++;
+                } else if (text[i] !== "]") {
+                    fail("',' or ']'");
+                }
+                skipWhitespace();
+            }
+            i++;
+            return { type: "array", start: start, end: i, items: items };
+        }
+
+        if (text[i] === '"') {
+            parseString();
+        } else {
+            var literal = /^(true|false|null|-?\d+(\.\d+)?([eE][+-]?\d+)?)/.exec(text.slice(i));
+            if (!literal) {
+                fail("a value");
+            }
+            i += literal[0].length;
+        }
+        return { type: "value", start: start, end: i };
+    };
+
+    var root = parseValue();
+    skipWhitespace();
+    if (i < text.length) {
+        fail("end of input");
+    }
+    return root;
+};
+
+/**
+ * Return the JSON text with the value at the given path replaced.
+ *
+ * If the last key of the path does not exist yet, it is added as the first
+ * member of its object, using the indentation of the existing members.
+ *
+ * @param string text - JSON source
+ * @param array path - keys and array indexes, e.g. ["relations", 1, "document_id"]
+ * @param value - any JSON-serializable value
+ */
+var setValue = function(text, path, value) {
+    var node = parse(text);
+    var parents = path.slice(0, -1);
+    var lastKey = path[path.length - 1];
+    var serialized = JSON.stringify(value);
+
+    parents.forEach(key => {
+        var child = node.type === "array"
+            ? node.items[key]
+            : node.type === "object" && (node.members.find(m => m.key === key) || {}).value;
+        if (!child) {
+            throw new Error("Path " + JSON.stringify(path) + " does not exist");
+        }
+        node = child;
+    });
+
+    if (node.type !== "object") {
+        throw new Error("Path " + JSON.stringify(path) + " does not end in an object");
+    }
+
+    var member = node.members.find(m => m.key === lastKey);
+    if (member) {
+        return text.slice(0, member.value.start) + serialized + text.slice(member.value.end);
+    }
+
+    var entry = JSON.stringify(lastKey) + ": " + serialized;
+    var insertAt = node.start + 1;
+    if (node.members.length === 0) {
+        return text.slice(0, insertAt) + entry + text.slice(insertAt);
+    }
+
+    // Reuse whatever separates the opening brace from the first member.
+    var firstKeyAt = text.indexOf('"', insertAt);
+    var separator = text.slice(insertAt, firstKeyAt);
+    return text.slice(0, insertAt) + separator + entry + "," + text.slice(insertAt);
+};
+
+module.exports = {
+    parse: parse,
+    setValue: setValue
+};
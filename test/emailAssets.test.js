@@ -0,0 +1,120 @@
+/**
+ * Tests of finding, checking and zipping an email's assets in emailAssets.js.
+ *
+ * Run with: npm test
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { describe, it, before, after } = require("node:test");
+
+const emailAssets = require("../emailAssets");
+
+var PNG = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex");
+
+var HTML = [
+    "<html><body style=\"background: url('images/bg.png')\">",
+    "<img src=\"images/logo.png\" alt=\"Logo\"><img src=\"https://example.com/remote.png\" alt=\"\">",
+    "<img src=\"images/logo.png?v=2\" alt=\"Logo again\"><img src=\"{{userPhoto}}\" alt=\"\">",
+    "<td background=\"missing.png\"></td><img src=\"../outside.png\" alt=\"\">",
+    "</body></html>"
+].join("\n");
+
+describe("emailAssets", () => {
+    var dir;
+    var htmlPath;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "email-assets-test-"));
+        fs.mkdirSync(path.join(dir, "email", "images"), { recursive: true });
+        fs.writeFileSync(path.join(dir, "email", "images", "logo.png"), PNG);
+        fs.writeFileSync(path.join(dir, "email", "images", "bg.png"), PNG);
+        fs.writeFileSync(path.join(dir, "email", "images", "huge.png"), Buffer.alloc(emailAssets.MAX_ASSET_BYTES + 1));
+        fs.writeFileSync(path.join(dir, "outside.png"), PNG);
+        htmlPath = path.join(dir, "email", "email.html");
+        fs.writeFileSync(htmlPath, HTML);
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it("finds local references with their lines, skipping remote ones and tokens", () => {
+        assert.deepStrictEqual(emailAssets.findReferences(HTML), [
+            { reference: "images/bg.png", line: 1 },
+            { reference: "images/logo.png", line: 2 },
+            { reference: "images/logo.png?v=2", line: 3 },
+            { reference: "missing.png", line: 4 },
+            { reference: "../outside.png", line: 4 }
+        ]);
+    });
+
+    it("collects each file once and reports missing and outside assets", () => {
+        var assets = emailAssets.collectAssets(htmlPath);
+
+        assert.deepStrictEqual(assets.map(asset => [asset.name, asset.size, asset.problem]), [
+            ["images/bg.png", PNG.length, null],
+            ["images/logo.png", PNG.length, null],
+            ["missing.png", null, "asset missing.png does not exist"],
+            ["../outside.png", null, "asset ../outside.png is outside the email's folder"]
+        ]);
+        assert.deepStrictEqual(emailAssets.collectAssets(path.join(dir, "nothing.html")), []);
+    });
+
+    it("decodes escapes in references, and takes a lone % as it is", () => {
+        var escapedPath = path.join(dir, "email", "escaped.html");
+        fs.writeFileSync(path.join(dir, "email", "images", "50%-off.png"), PNG);
+        fs.writeFileSync(path.join(dir, "email", "images", "big sale.png"), PNG);
+        fs.writeFileSync(escapedPath, "<img src=\"images/50%-off.png\" alt=\"\">\n<img src=\"images/big%20sale.png\" alt=\"\">");
+
+        assert.deepStrictEqual(emailAssets.collectAssets(escapedPath).map(asset => [asset.name, asset.problem]), [
+            ["images/50%-off.png", null],
+            ["images/big sale.png", null]
+        ]);
+    });
+
+    it("reports assets over the size limit", () => {
+        var bigPath = path.join(dir, "email", "big.html");
+        fs.writeFileSync(bigPath, "<img src=\"images/huge.png\" alt=\"\">");
+
+        assert.strictEqual(emailAssets.collectAssets(bigPath)[0].problem, "asset images/huge.png is 1025 KB, the limit is 1024 KB");
+    });
+
+    it("reads back the zips it writes, and writes the same bytes every time", () => {
+        var entries = [
+            { name: "email.html", data: Buffer.from("<p>Hi</p>") },
+            { name: "images/Logo®.png", data: PNG }
+        ];
+        var zip = emailAssets.createZip(entries);
+
+        assert.deepStrictEqual(emailAssets.readZip(zip), entries);
+        assert.ok(emailAssets.createZip(entries).equals(zip));
+        assert.throws(() => emailAssets.readZip(Buffer.from("not a zip")), /Not a zip archive/);
+    });
+
+    it("reads deflated entries", () => {
+        var data = Buffer.from("<p>" + "compressible ".repeat(50) + "</p>");
+        var zip = emailAssets.createZip([{ name: "email.html", data: zlib.deflateRawSync(data) }]);
+        zip.writeUInt16LE(8, zip.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 10);
+
+        assert.deepStrictEqual(emailAssets.readZip(zip), [{ name: "email.html", data: data }]);
+    });
+
+    it("bundles the HTML at the root with the usable assets", () => {
+        var entries = emailAssets.readZip(emailAssets.bundle(htmlPath, emailAssets.collectAssets(htmlPath)));
+
+        assert.deepStrictEqual(entries.map(entry => entry.name), ["email.html", "images/bg.png", "images/logo.png"]);
+        assert.strictEqual(entries[0].data.toString(), HTML);
+    });
+
+    it("inlines usable assets as data: URIs", () => {
+        var html = emailAssets.inlineAssets(HTML, emailAssets.collectAssets(htmlPath));
+        var uri = "data:image/png;base64," + PNG.toString("base64");
+
+        assert.ok(html.indexOf("url('" + uri + "')") !== -1);
+        assert.ok(html.indexOf("<img src=\"" + uri + "\" alt=\"Logo\">") !== -1);
+        assert.ok(html.indexOf("background=\"missing.png\"") !== -1);
+        assert.ok(html.indexOf("https://example.com/remote.png") !== -1);
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests of the email HTML checks in emailLint.js.
+ *
+ * Run with: npm test
+ */
+
+const assert = require("assert");
+const { describe, it } = require("node:test");
+
+const emailLint = require("../emailLint");
+
+// The findings as "severity line: message" strings, which are easy to compare.
+var lint = (html, fragmentCount) => emailLint.lintHTML(html, fragmentCount === undefined ? null : fragmentCount)
+    .map(finding => finding.severity + " " + finding.line + ": " + finding.message);
+
+describe("emailLint", () => {
+    it("accepts known tokens and object fields", () => {
+        assert.deepStrictEqual(lint("<p>{{accFname}} {{userName}} {{User.Phone}} {{Account.Specialty_1_vod__c}}</p>"), []);
+    });
+
+    it("warns about unknown tokens and reports unclosed ones", () => {
+        assert.deepStrictEqual(lint("<p>{{accFirstName}}</p>\n<p>{{userName</p>"), [
+            "warning 1: unknown token {{accFirstName}}",
+            "error 2: token is never closed with }}"
+        ]);
+    });
+
+    it("checks customText options", () => {
+        assert.deepStrictEqual(lint("{{customText[Hi|Hello]}} {{customText(255)}}"), []);
+        assert.deepStrictEqual(lint("{{customText[Hi||Hello]}}"), ["error 1: empty option in {{customText[Hi||Hello]}}"]);
+        assert.deepStrictEqual(lint("{{customTextHi}}"), ["error 1: malformed customText token {{customTextHi}}"]);
+    });
+
+    it("checks the fragment range against the number of fragments", () => {
+        var template = "<div>{{insertEmailFragments[2,3]}}</div>";
+
+        assert.deepStrictEqual(lint(template, 2), []);
+        assert.deepStrictEqual(lint(template, 3), []);
+        assert.deepStrictEqual(lint(template, 1), [
+            "error 1: {{insertEmailFragments[2,3]}} needs at least 2 fragments, but relations has 1"
+        ]);
+        assert.deepStrictEqual(lint(template, 4), [
+            "warning 1: relations has 4 fragments, but {{insertEmailFragments}} takes at most 3, so the rep can't use them all"
+        ]);
+        assert.deepStrictEqual(lint("{{insertEmailFragments[3,1]}}", 1), [
+            "error 1: {{insertEmailFragments[3,1]}} asks for at least 3 but at most 1 fragments"
+        ]);
+    });
+
+    it("adds up the maximum of several insertion points", () => {
+        var template = "{{insertEmailFragments[1,2]}}\n{{insertEmailFragments[1,1]}}";
+
+        assert.deepStrictEqual(lint(template, 3), []);
+        assert.strictEqual(lint(template, 4).length, 1);
+        assert.deepStrictEqual(lint(template + "\n{{insertEmailFragments}}", 10), []);
+    });
+
+    it("requires an insertion point for fragments, and none in fragments", () => {
+        assert.deepStrictEqual(lint("<p>Hi</p>", 2), [
+            "error 1: relations has 2 fragments, but there is no {{insertEmailFragments}} token"
+        ]);
+        assert.deepStrictEqual(lint("{{insertEmailFragments}}", null), [
+            "error 1: email fragments can't insert other fragments"
+        ]);
+    });
+
+    it("checks links, images and scripts", () => {
+        var html = [
+            "<a href=\"https://example.com\">ok</a> <a href=\"mailto:{{userEmailAddress}}\">ok</a> <a href=\"{{$ViewWebBrowser}}\">ok</a>",
+            "<a href=\"emailto:someone@example.com\">bad</a>",
+            "<a href=\"page.html\">relative</a>",
+            "<img src=\"logo.png\"><img src=\"logo.png\" alt=\"Logo\">",
+            "<script src=\"https://example.com/x.js\"></script>"
+        ].join("\n");
+
+        assert.deepStrictEqual(lint(html), [
+            "error 2: link scheme \"emailto:\" won't work in an email (emailto:someone@example.com)",
+            "warning 3: relative link \"page.html\" won't work in an email",
+            "warning 4: image without alt text (logo.png)",
+            "error 5: external script https://example.com/x.js is not allowed in an email"
+        ]);
+    });
+
+    it("ignores HTML comments, keeping line numbers", () => {
+        assert.deepStrictEqual(lint("<!-- {{oldToken}}\n<script></script> -->\n{{unknown}}"), ["warning 3: unknown token {{unknown}}"]);
+    });
+
+    it("formats findings with the file and line", () => {
+        assert.deepStrictEqual(emailLint.formatFindings("email/a.html", [{ severity: "error", line: 4, message: "bad" }]),
+            ["email/a.html:4: error: bad"]);
+    });
+});
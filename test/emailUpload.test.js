@@ -0,0 +1,791 @@
+/**
+ * End-to-end tests of emailUpload.js against the mock vault.
+ *
+ * Run with: npm test
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+
+// Keep lookups of the mock vault out of the real cache.
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "email-upload-test-"));
+process.env.VAULT_CACHE_DIR = path.join(tmpRoot, "cache");
+
+const mockVault = require("./mockVault");
+const vault = require("../veeva-vault");
+const emailUpload = require("../emailUpload");
+
+var TEMPLATE_HTML = "<html><body><p>Hello {{accFname}}</p>{{insertEmailFragments[1,2]}}"
+    + "<a href=\"{{unsubscribe_product_link}}\">Unsubscribe</a></body></html>\n";
+
+var fragmentHTML = name => "<table><tr><td>" + name + "</td></tr></table>\n";
+
+// Writes a package with two fragments to a new directory, and returns the
+// path of its data file.
+var writePackage = function() {
+    var dir = fs.mkdtempSync(path.join(tmpRoot, "package-"));
+    fs.writeFileSync(path.join(dir, "template.html"), TEMPLATE_HTML);
+    fs.writeFileSync(path.join(dir, "first.html"), fragmentHTML("First"));
+    fs.writeFileSync(path.join(dir, "second.html"), fragmentHTML("Second"));
+
+    var data = {
+        "version": "2026-10-18",
+        "filepath": "template.html",
+        "name__v": "TEST template",
+        "product__v": "Cholecap",
+        "country__v": "United States",
+        "lifecycle__v": "Approved Email",
+        "type__v": "Email Template",
+        "from_name__v": "Test",
+        "from_address__v": "test@example.com",
+        "reply_to_name__v": "Test",
+        "reply_to_address__v": "test@example.com",
+        "subject__v": "Hello",
+        "document_id": null,
+        "relations": [
+            { "filepath": "first.html", "name__v": "TEST first fragment", "document_id": null },
+            { "filepath": "second.html", "name__v": "TEST second fragment", "document_id": null }
+        ]
+    };
+    var dataFile = path.join(dir, "veeva.json");
+    fs.writeFileSync(dataFile, JSON.stringify(data, null, 4) + "\n");
+    return dataFile;
+};
+
+var readData = dataFile => JSON.parse(fs.readFileSync(dataFile, "utf8"));
+
+var editData = function(dataFile, change) {
+    var data = readData(dataFile);
+    change(data);
+    fs.writeFileSync(dataFile, JSON.stringify(data, null, 4) + "\n");
+};
+
+describe("emailUpload", () => {
+    var mock;
+    var credentialsFile;
+    var output;
+    var originalConsole = {};
+
+    // Runs a command like the command line would, with its output collected
+    // in `output` instead of printed.
+    var run = function(args) {
+        return emailUpload.main(args.concat("--credentials", credentialsFile));
+    };
+
+    before(() => {
+        vault.configure({ retryDelay: 1 });
+    });
+
+    after(() => {
+        fs.rmSync(tmpRoot, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        mock = mockVault.create();
+        output = [];
+        ["log", "warn", "error"].forEach(name => {
+            originalConsole[name] = console[name];
+            console[name] = function() {
+                output.push(Array.prototype.join.call(arguments, " "));
+            };
+        });
+
+        return mock.start().then(host => {
+            credentialsFile = path.join(tmpRoot, "credentials.json");
+            fs.writeFileSync(credentialsFile, JSON.stringify({
+                host: host,
+                username: "test@example.com",
+                password: "secret"
+            }));
+        });
+    });
+
+    afterEach(() => {
+        Object.keys(originalConsole).forEach(name => console[name] = originalConsole[name]);
+        return mock.stop();
+    });
+
+    it("creates the template and fragments, and links them", () => {
+        var dataFile = writePackage();
+
+        return run(["upload", dataFile]).then(() => {
+            var data = readData(dataFile);
+            var templateID = data["document_id"];
+            var fragmentIDs = data["relations"].map(fragment => fragment["document_id"]);
+
+            assert.ok(templateID);
+            assert.ok(fragmentIDs.every(id => id));
+            assert.strictEqual(Object.keys(mock.documents).length, 3);
+
+            var template = mock.documentFields(templateID);
+            assert.strictEqual(template["name__v"], "TEST template");
+            assert.deepStrictEqual(template["product__v"], ["00P000000000101"]);
+            assert.deepStrictEqual(template["country__v"], ["00C000000000101"]);
+
+            assert.deepStrictEqual(mock.relationshipsOf(templateID), fragmentIDs.map(id => ({
+                target: Number(id), type: "related_shared_resource__v"
+            })));
+            assert.ok(!fs.existsSync(dataFile.replace(/\.json$/, ".journal.json")));
+        });
+    });
+
+    it("updates changed metadata and files, and leaves the rest alone", () => {
+        var dataFile = writePackage();
+        var dir = path.dirname(dataFile);
+
+        return run(["upload", dataFile]).then(() => {
+            editData(dataFile, data => data["subject__v"] = "Hello again");
+            fs.writeFileSync(path.join(dir, "first.html"), fragmentHTML("First, changed"));
+            mock.requests.length = 0;
+
+            return run(["upload", dataFile]);
+        }).then(() => {
+            var data = readData(dataFile);
+            var template = mock.documentFields(data["document_id"]);
+            var first = mock.documentFields(data["relations"][0]["document_id"]);
+            var second = mock.documentFields(data["relations"][1]["document_id"]);
+
+            assert.strictEqual(Object.keys(mock.documents).length, 3);
+            assert.strictEqual(template["subject__v"], "Hello again");
+            assert.strictEqual(template["minor_version_number__v"], 1);
+            assert.strictEqual(first["minor_version_number__v"], 2);
+            assert.strictEqual(second["minor_version_number__v"], 1);
+            assert.ok(!mock.requests.some(request => request.method === "POST" && request.path === "objects/documents"));
+            assert.ok(!first["locked__v"]);
+        });
+    });
+
+    it("removes fragments that are no longer in relations", () => {
+        var dataFile = writePackage();
+        var removedID;
+
+        return run(["upload", dataFile]).then(() => {
+            editData(dataFile, data => {
+                removedID = data["relations"][1]["document_id"];
+                data["relations"].pop();
+            });
+            return run(["upload", dataFile]);
+        }).then(() => {
+            var data = readData(dataFile);
+            var targets = mock.relationshipsOf(data["document_id"]).map(relationship => String(relationship.target));
+
+            assert.deepStrictEqual(targets, [data["relations"][0]["document_id"]]);
+            assert.ok(mock.documents[removedID], "the fragment itself is kept");
+        });
+    });
+
+    it("rolls back a failed upload", () => {
+        var dataFile = writePackage();
+        mock.fail("POST", /relationships$/, { type: "INVALID_DATA", message: "Injected" }, 1);
+
+        return run(["upload", dataFile]).then(() => assert.fail("the upload should fail"), error => {
+            var data = readData(dataFile);
+
+            assert.match(error.message, /createDocumentRelationship/);
+            assert.deepStrictEqual(mock.documents, {});
+            assert.strictEqual(data["document_id"], null);
+            assert.ok(data["relations"].every(fragment => fragment["document_id"] === null));
+            assert.ok(!fs.existsSync(dataFile.replace(/\.json$/, ".journal.json")));
+        });
+    });
+
+    it("keeps the journal with --no-rollback, for the rollback command", () => {
+        var dataFile = writePackage();
+        var journalFile = dataFile.replace(/\.json$/, ".journal.json");
+        mock.fail("POST", /relationships$/, { type: "INVALID_DATA", message: "Injected" }, 2);
+
+        return run(["upload", dataFile, "--no-rollback"]).then(() => assert.fail("the upload should fail"), error => {
+            assert.match(error.message, /node emailUpload.js rollback/);
+            assert.strictEqual(Object.keys(mock.documents).length, 3);
+            assert.ok(fs.existsSync(journalFile));
+
+            return run(["upload", dataFile]);
+        }).then(() => assert.fail("the upload should refuse to replace the journal"), error => {
+            assert.match(error.message, /was not rolled back, undo it first:\n  node emailUpload.js rollback /);
+            assert.strictEqual(Object.keys(mock.documents).length, 3);
+
+            return run(["rollback", dataFile]);
+        }).then(() => {
+            var data = readData(dataFile);
+
+            assert.deepStrictEqual(mock.documents, {});
+            assert.strictEqual(data["document_id"], null);
+            assert.ok(!fs.existsSync(journalFile));
+        });
+    });
+
+    it("undoes relationship changes of a failed update", () => {
+        var dataFile = writePackage();
+        var templateID;
+        var before;
+
+        return run(["upload", dataFile]).then(() => {
+            templateID = readData(dataFile)["document_id"];
+            before = mock.relationshipsOf(templateID);
+            editData(dataFile, data => data["relations"].reverse().pop());
+            fs.writeFileSync(path.join(path.dirname(dataFile), "third.html"), fragmentHTML("Third"));
+            editData(dataFile, data => data["relations"].push({ "filepath": "third.html", "name__v": "TEST third fragment" }));
+            mock.fail("DELETE", /relationships\/\d+$/, { type: "INVALID_DATA", message: "Injected" }, 1);
+
+            return run(["upload", dataFile]);
+        }).then(() => assert.fail("the upload should fail"), () => {
+            var data = readData(dataFile);
+
+            assert.deepStrictEqual(mock.relationshipsOf(templateID), before);
+            assert.strictEqual(Object.keys(mock.documents).length, 3, "the new fragment is deleted again");
+            assert.ok(!data["relations"][1]["document_id"]);
+        });
+    });
+
+    it("uploads a batch, sharing fragments, and reports each package", () => {
+        var dir = path.dirname(writePackage());
+        var dataFile = name => path.join(dir, name + ".json");
+        ["first", "second", "broken"].forEach(name => editData(path.join(dir, "veeva.json"), data => {
+            data["name__v"] = "TEST " + name + " template";
+            data["filepath"] = name === "broken" ? "missing.html" : "template.html";
+            fs.writeFileSync(dataFile(name), JSON.stringify(data, null, 4) + "\n");
+        }));
+        fs.unlinkSync(path.join(dir, "veeva.json"));
+        fs.writeFileSync(path.join(dir, "notes.json"), "{}\n");
+
+        return run(["upload", dir, "--concurrency", "2"]).then(() => assert.fail("the batch should fail"), error => {
+            var first = readData(dataFile("first"));
+            var second = readData(dataFile("second"));
+
+            assert.strictEqual(error.message, "1 of 3 package(s) failed");
+            assert.strictEqual(Object.keys(mock.documents).length, 4, "two templates and the two shared fragments");
+            assert.notStrictEqual(first["document_id"], second["document_id"]);
+            assert.deepStrictEqual(second["relations"].map(fragment => fragment["document_id"]),
+                first["relations"].map(fragment => fragment["document_id"]));
+            assert.ok(output.some(line => line.indexOf("Error in " + dataFile("broken")) === 0));
+            assert.match(output.find(line => line.indexOf(dataFile("broken")) === 0), /FAILED: /);
+            assert.match(output.find(line => line.indexOf(dataFile("first")) === 0), / ok \(template \d+ /);
+        });
+    });
+
+    it("keeps the shared fragments another package of the batch uses when it rolls back", () => {
+        var dir = path.dirname(writePackage());
+        var dataFile = name => path.join(dir, name + ".json");
+        ["a", "b"].forEach(name => editData(path.join(dir, "veeva.json"), data => {
+            data["name__v"] = "TEST " + name + " template";
+            fs.writeFileSync(dataFile(name), JSON.stringify(data, null, 4) + "\n");
+        }));
+        fs.unlinkSync(path.join(dir, "veeva.json"));
+        mock.fail("POST", /relationships$/, { type: "INVALID_DATA", message: "Injected" }, 1);
+
+        return run(["upload", dir, "--concurrency", "2"]).then(() => assert.fail("the batch should fail"), error => {
+            var failed = readData(dataFile("a"));
+            var uploaded = readData(dataFile("b"));
+            var fragmentIDs = uploaded["relations"].map(fragment => fragment["document_id"]);
+
+            assert.strictEqual(error.message, "1 of 2 package(s) failed");
+            assert.strictEqual(failed["document_id"], null);
+            assert.strictEqual(failed["relations"][0]["document_id"], fragmentIDs[0], "a created it, b uses it too");
+            assert.deepStrictEqual(Object.keys(mock.documents).sort(), [String(uploaded["document_id"])].concat(fragmentIDs).sort());
+            assert.ok(output.some(line => line.indexOf("Warning: kept \"TEST first fragment\" (" + fragmentIDs[0] + "), "
+                + dataFile("b") + " use(s) it too") === 0));
+            assert.deepStrictEqual(JSON.parse(fs.readFileSync(dataFile("a").replace(/\.json$/, ".journal.json"), "utf8"))
+                .entries.map(entry => entry.id), [fragmentIDs[0]]);
+
+            output.length = 0;
+            return run(["status", dataFile("b")]);
+        }).then(() => {
+            assert.ok(output.indexOf("  In sync with Vault") !== -1);
+        });
+    });
+
+    it("finds the packages of a campaign in folders of their own", () => {
+        var campaign = fs.mkdtempSync(path.join(tmpRoot, "campaign-"));
+        var dataFiles = ["a", "b"].map(name => {
+            fs.renameSync(path.dirname(writePackage()), path.join(campaign, name));
+            return path.join(campaign, name, "veeva.json");
+        });
+        var validated = () => dataFiles.filter(dataFile => output.some(line => line.indexOf(dataFile) === 0));
+
+        return run(["validate", campaign])
+            .then(() => {
+                assert.deepStrictEqual(validated(), dataFiles);
+                output.length = 0;
+                return run(["validate", path.join(campaign, "*", "veeva.json")]);
+            })
+            .then(() => {
+                assert.deepStrictEqual(validated(), dataFiles);
+                return run(["validate", path.join(campaign, "nowhere", "*", "veeva.json")]);
+            })
+            .then(() => assert.fail("validate should fail"), error => {
+                assert.strictEqual(error.message, "No data files found for " + path.join(campaign, "nowhere", "*", "veeva.json")
+                    + ": there is no directory " + path.join(campaign, "nowhere"));
+            });
+    });
+
+    it("rejects a --concurrency that isn't a number of at least 1", () => {
+        return run(["validate", writePackage(), "--concurrency", "none"]).then(() => assert.fail("validate should fail"), error => {
+            assert.match(error.message, /--concurrency needs a number of at least 1/);
+        });
+    });
+
+    it("retries transient errors and renews an expired session", () => {
+        var dataFile = writePackage();
+        mock.fail("POST", "objects/documents", { status: 429 }, 2);
+
+        return run(["upload", dataFile]).then(() => {
+            mock.expireSessions();
+            mock.fail("GET", "objects/documents", { status: 503 }, 2);
+            return run(["status", dataFile, "--json"]);
+        }).then(() => {
+            var report = JSON.parse(output[output.length - 1]);
+
+            assert.strictEqual(Object.keys(mock.documents).length, 3);
+            assert.strictEqual(report.inSync, true);
+        });
+    });
+
+    it("doesn't repeat an upload after a server error", () => {
+        var dataFile = writePackage();
+        mock.fail("POST", "objects/documents", { status: 503 }, 1);
+
+        return run(["upload", dataFile]).then(() => assert.fail("the upload should fail"), error => {
+            var uploads = mock.requests.filter(request => request.method === "POST" && request.path === "objects/documents");
+
+            assert.match(error.message, /503/);
+            assert.strictEqual(uploads.length, 1);
+        });
+    });
+
+    it("reports drift in status", () => {
+        var dataFile = writePackage();
+
+        return run(["upload", dataFile]).then(() => {
+            editData(dataFile, data => data["from_name__v"] = "Someone else");
+            output.length = 0;
+            return run(["status", dataFile, "--json"]);
+        }).then(() => {
+            var report = JSON.parse(output[output.length - 1]);
+
+            assert.strictEqual(report.inSync, false);
+            assert.deepStrictEqual(report.documents[0].fields, {
+                "from_name__v": { vault: "Test", local: "Someone else" }
+            });
+            assert.strictEqual(report.documents[0].file, false);
+        });
+    });
+
+    it("pulls a package, every fragment into a folder of its own", () => {
+        var dataFile = writePackage();
+        var dir = path.dirname(dataFile);
+        var outDir = path.join(tmpRoot, "pulled");
+        ["first", "second"].forEach(name => {
+            fs.mkdirSync(path.join(dir, name, "images"), { recursive: true });
+            fs.writeFileSync(path.join(dir, name, "images", "logo.png"), name + " logo");
+            fs.writeFileSync(path.join(dir, name, name + ".html"), "<img src=\"images/logo.png\" alt=\"Logo\">" + fragmentHTML(name));
+        });
+        editData(dataFile, data => data["relations"].forEach(fragment => fragment["filepath"] = fragment["filepath"].replace(/(\w+)\.html/, "$1/$1.html")));
+
+        return run(["upload", dataFile]).then(() => emailUpload.main(["pull", readData(dataFile)["document_id"],
+            "--credentials", credentialsFile, "--out", outDir])).then(() => {
+            var pulled = readData(path.join(outDir, "veeva.json"));
+
+            assert.strictEqual(pulled["filepath"], "template.html");
+            assert.strictEqual(pulled["document_id"], readData(dataFile)["document_id"]);
+            assert.deepStrictEqual(pulled["relations"].map(fragment => fragment["filepath"]),
+                ["TEST first fragment/first.html", "TEST second fragment/second.html"]);
+            assert.strictEqual(fs.readFileSync(path.join(outDir, "TEST first fragment", "images", "logo.png"), "utf8"), "first logo");
+            assert.strictEqual(fs.readFileSync(path.join(outDir, "TEST second fragment", "images", "logo.png"), "utf8"), "second logo");
+
+            return run(["validate", path.join(outDir, "veeva.json")]);
+        }).then(() => emailUpload.main(["pull", readData(dataFile)["document_id"], "--credentials", credentialsFile, "--out", outDir]))
+            .then(() => assert.fail("pull should not overwrite a package"), error => {
+                assert.match(error.message, /veeva\.json already exists/);
+            });
+    });
+
+    it("promotes a package to another vault", () => {
+        var dataFile = writePackage();
+        var outDir = path.join(tmpRoot, "promoted");
+        var target = mockVault.create({
+            objects: {
+                "product__v": [{ id: "00P000000000901", "name__v": "Cholecap" }],
+                "country__v": [{ id: "00C000000000901", "name__v": "United States" }]
+            }
+        });
+        var targetCredentials = path.join(tmpRoot, "target.json");
+        var sourceCredentials = path.join(tmpRoot, "source.json");
+        var sourceHost = readData(credentialsFile).host;
+
+        return target.start().then(host => {
+            fs.writeFileSync(targetCredentials, JSON.stringify({ host: host, username: "test@example.com", password: "secret" }));
+            // The same vault, written another way.
+            fs.writeFileSync(sourceCredentials, JSON.stringify(Object.assign(readData(credentialsFile), { host: sourceHost.replace(/\/$/, " ") })));
+            return run(["upload", dataFile]);
+        }).then(() => {
+            var source = readData(dataFile);
+            return emailUpload.main(["promote", source["document_id"], "--source", sourceCredentials,
+                "--credentials", targetCredentials, "--out", outDir]);
+        }).then(() => {
+            var mapping = readData(path.join(outDir, "promotion.json"));
+
+            assert.strictEqual(mapping.source, sourceHost);
+            var templateID = mapping.documents[0].target;
+            var fragmentIDs = mapping.documents.slice(1).map(entry => entry.target);
+
+            assert.strictEqual(Object.keys(target.documents).length, 3);
+            assert.deepStrictEqual(mapping.documents.map(entry => entry.source),
+                [readData(dataFile)["document_id"]].concat(readData(dataFile)["relations"].map(fragment => fragment["document_id"])));
+            assert.deepStrictEqual(mapping.objects["product__v"], { "00P000000000101": "00P000000000901" });
+            assert.deepStrictEqual(target.documentFields(templateID)["product__v"], ["00P000000000901"]);
+            assert.deepStrictEqual(target.documentFields(templateID)["country__v"], ["00C000000000901"]);
+            assert.deepStrictEqual(target.relationshipsOf(templateID).map(relationship => String(relationship.target)), fragmentIDs);
+            assert.strictEqual(readData(path.join(outDir, "veeva.json"))["document_id"], templateID);
+        }).then(() => target.stop(), error => target.stop().then(() => { throw error; }));
+    });
+
+    it("leaves nothing behind on a dry run of promote, and stops on objects the source vault doesn't have", () => {
+        var dataFile = writePackage();
+        var outDir = path.join(tmpRoot, "promote-dry-run");
+        var target = mockVault.create();
+        var targetCredentials = path.join(tmpRoot, "target.json");
+        var promote = option => emailUpload.main(["promote", readData(dataFile)["document_id"], "--source", credentialsFile,
+            "--credentials", targetCredentials, "--out", outDir].concat(option || []));
+
+        return target.start().then(host => {
+            fs.writeFileSync(targetCredentials, JSON.stringify({ host: host, username: "test@example.com", password: "secret" }));
+            return run(["upload", dataFile]);
+        }).then(() => promote("--dry-run")).then(() => {
+            assert.ok(!fs.existsSync(outDir));
+            assert.deepStrictEqual(target.documents, {});
+
+            var templateID = readData(dataFile)["document_id"];
+            mock.documents[templateID].versions.slice(-1)[0].fields["country__v"] = "00C000000000999";
+            return promote();
+        }).then(() => assert.fail("promote should fail"), error => {
+            assert.match(error.message, /"TEST template" has country__v 00C000000000999, which is not in the source vault/);
+            assert.deepStrictEqual(target.documents, {});
+        }).then(() => target.stop(), error => target.stop().then(() => { throw error; }));
+    });
+
+    it("previews every custom text variant with its fragments and sample data", () => {
+        var dataFile = writePackage();
+        var dir = path.dirname(dataFile);
+        var sampleFile = path.join(dir, "sample.json");
+        fs.writeFileSync(path.join(dir, "template.html"), TEMPLATE_HTML.replace("Hello", "{{customText[Hi|Dear]}}"));
+        fs.writeFileSync(sampleFile, JSON.stringify({ "accFname": "Robin & Co" }));
+
+        return run(["preview", dataFile, "--sample", sampleFile]).then(() => {
+            var previewDir = path.join(dir, "preview");
+            var files = fs.readdirSync(previewDir).sort();
+            var html = files.map(file => fs.readFileSync(path.join(previewDir, file), "utf8"));
+
+            assert.deepStrictEqual(files, ["TEST template - 1.html", "TEST template - 2.html"]);
+            assert.match(html[0], /<p>Hi Robin &amp; Co<\/p>/);
+            assert.match(html[1], /<p>Dear Robin &amp; Co<\/p>/);
+            assert.ok(html[0].indexOf(fragmentHTML("First") + "\n" + fragmentHTML("Second")) !== -1);
+            assert.match(html[0], /href="#unsubscribe"/);
+            assert.deepStrictEqual(mock.requests, []);
+        });
+    });
+
+    it("gives each fragment insertion point its share of the fragments, and replaces old previews", () => {
+        var dataFile = writePackage();
+        var dir = path.dirname(dataFile);
+        var previewDir = path.join(dir, "preview");
+        fs.writeFileSync(path.join(dir, "template.html"), "<p>{{customText[Hi|Dear]}}</p>\n"
+            + "<div id=\"top\">{{insertEmailFragments[1,1]}}</div><div id=\"rest\">{{insertEmailFragments[0,1]}}</div>\n");
+        fs.mkdirSync(previewDir);
+        fs.writeFileSync(path.join(previewDir, "TEST template - 3.html"), "old");
+        fs.writeFileSync(path.join(previewDir, "Another template.html"), "someone else's");
+
+        return run(["preview", dataFile]).then(() => {
+            var html = fs.readFileSync(path.join(previewDir, "TEST template - 1.html"), "utf8");
+
+            assert.ok(html.indexOf("<div id=\"top\">" + fragmentHTML("First") + "</div>") !== -1);
+            assert.ok(html.indexOf("<div id=\"rest\">" + fragmentHTML("Second") + "</div>") !== -1);
+
+            fs.writeFileSync(path.join(dir, "template.html"), TEMPLATE_HTML);
+            return run(["preview", dataFile]);
+        }).then(() => {
+            assert.deepStrictEqual(fs.readdirSync(previewDir).sort(), ["Another template.html", "TEST template.html"]);
+        });
+    });
+
+    it("checks metadata against the vault's field definitions, online and offline", () => {
+        var dataFile = writePackage();
+        var types = JSON.parse(JSON.stringify(mockVault.DEFAULT_DOCUMENT_TYPES));
+        types["email_template__v"].properties.push(
+            { name: "campaign__c", type: "String", required: true, editable: true, maxLength: 10 },
+            { name: "audience__c", type: "Picklist", required: false, editable: true, entryLabels: ["HCP", "Patient"] });
+
+        return mock.stop().then(() => {
+            mock = mockVault.create({ documentTypes: types });
+            return mock.start();
+        }).then(host => {
+            // The cache is found by the host as authenticate() writes it.
+            fs.writeFileSync(credentialsFile, JSON.stringify({ host: host.replace(/\/$/, " "), username: "test@example.com", password: "secret" }));
+            editData(dataFile, data => data["audience__c"] = "Nurse");
+            return run(["upload", dataFile]);
+        }).then(() => assert.fail("the upload should fail"), error => {
+            var typeLists = mock.requests.filter(request => /documents\/types$/.test(request.path));
+
+            assert.match(error.message, /campaign__c: is required for Email Template documents/);
+            assert.match(error.message, /audience__c: "Nurse" is not one of HCP, Patient/);
+            assert.deepStrictEqual(mock.documents, {});
+            assert.strictEqual(typeLists.length, 1, "the list of types is fetched once for both types");
+
+            mock.requests.length = 0;
+            return run(["validate", dataFile]);
+        }).then(() => assert.fail("validate should fail"), error => {
+            assert.match(error.message, /campaign__c: is required/);
+            assert.deepStrictEqual(mock.requests, []);
+
+            editData(dataFile, data => Object.assign(data, { "campaign__c": "SPRING-19", "audience__c": "HCP" }));
+            return run(["validate", dataFile]);
+        }).then(() => {
+            assert.match(output[output.length - 1], /is valid \(checked against the fields of http/);
+            return run(["upload", dataFile]);
+        }).then(() => {
+            assert.strictEqual(mock.documentFields(readData(dataFile)["document_id"])["campaign__c"], "SPRING-19");
+        });
+    });
+
+    it("finds documents that already exist in Vault, and adopts them on request", () => {
+        var uploaded = writePackage();
+        var copy = writePackage();
+
+        return run(["upload", uploaded]).then(() => run(["upload", copy])).then(() => assert.fail("the upload should fail"), error => {
+            assert.match(error.message, /"TEST template" already exists in Vault as \d+/);
+            assert.match(error.message, /"TEST second fragment" already exists/);
+            assert.match(error.message, /Use --existing adopt or --existing create/);
+            assert.strictEqual(Object.keys(mock.documents).length, 3);
+
+            return run(["upload", copy, "--existing", "adopt", "--dry-run"]);
+        }).then(() => {
+            assert.strictEqual(readData(copy)["document_id"], null, "a dry run doesn't write adopted IDs");
+
+            return run(["upload", copy, "--existing", "adopt"]);
+        }).then(() => {
+            var original = readData(uploaded);
+            var adopted = readData(copy);
+
+            assert.strictEqual(Object.keys(mock.documents).length, 3);
+            assert.strictEqual(adopted["document_id"], original["document_id"]);
+            assert.deepStrictEqual(adopted["relations"].map(fragment => fragment["document_id"]),
+                original["relations"].map(fragment => fragment["document_id"]));
+        });
+    });
+
+    it("creates another document with --existing create", () => {
+        var uploaded = writePackage();
+        var copy = writePackage();
+
+        return run(["upload", uploaded]).then(() => run(["upload", copy, "--existing", "create"])).then(() => {
+            assert.strictEqual(Object.keys(mock.documents).length, 6);
+            assert.notStrictEqual(readData(copy)["document_id"], readData(uploaded)["document_id"]);
+            assert.ok(output.some(line => /"TEST template" already exists in Vault as \d+, creating another one anyway/.test(line)));
+        });
+    });
+
+    it("submits an upload for review, and runs lifecycle actions with transition", () => {
+        var dataFile = writePackage();
+        var states = () => Object.keys(mock.documents).map(id => mock.documentFields(id)["status__v"]);
+
+        return run(["upload", "--submit-for-review", dataFile]).then(() => {
+            assert.deepStrictEqual(states(), ["In Review", "In Review", "In Review"]);
+
+            return run(["transition", dataFile, "--action", "Approve"]);
+        }).then(() => assert.fail("the action should not be available"), error => {
+            assert.match(error.message, /"Approve" is not available for "TEST template" in state In Review\. Available actions: Submit for Review \(submit_for_review__c\)/);
+
+            return run(["transition", dataFile]);
+        }).then(() => assert.fail("transition should need an action"), error => {
+            assert.match(error.message, /needs --action <name>/);
+
+            return run(["upload", dataFile, "--action", "Approve"]);
+        }).then(() => assert.fail("upload should need --submit-for-review for --action"), error => {
+            assert.match(error.message, /--action needs --submit-for-review with upload/);
+        });
+    });
+
+    it("names the documents a failed transition already moved on", () => {
+        var dataFile = writePackage();
+
+        return run(["upload", dataFile]).then(() => {
+            var second = readData(dataFile)["relations"][1]["document_id"];
+            mock.fail("PUT", new RegExp("^objects/documents/" + second + "/.*lifecycle_actions/"), { status: 400 }, 1);
+
+            return run(["transition", dataFile, "--action", "Submit for Review"]);
+        }).then(() => assert.fail("the transition should fail"), error => {
+            var data = readData(dataFile);
+
+            assert.match(error.message, /"Submit for Review" already ran on "TEST template" \(\d+\), "TEST first fragment" \(\d+\), and Vault can't undo that/);
+            assert.strictEqual(mock.documentFields(data["relations"][0]["document_id"])["status__v"], "In Review");
+            assert.notStrictEqual(mock.documentFields(data["relations"][1]["document_id"])["status__v"], "In Review");
+        });
+    });
+
+    it("reads data files of version 2019-04-01, and migrates them", () => {
+        var dataFile = writePackage();
+        editData(dataFile, data => {
+            data["version"] = "2019-04-01";
+            data["relations"].forEach(fragment => delete fragment["type__v"]);
+        });
+        // A layout of our own, which migrate keeps.
+        fs.writeFileSync(dataFile, fs.readFileSync(dataFile, "utf8").replace("\n    \"relations\"", "\n\n    \"relations\""));
+
+        return run(["validate", dataFile]).then(() => run(["upload", dataFile])).then(() => assert.fail("upload should need a migration"), error => {
+            assert.match(error.message, /is in the old format 2019-04-01, run this first:\n  node emailUpload.js migrate /);
+
+            return run(["migrate", dataFile]);
+        }).then(() => {
+            var data = readData(dataFile);
+
+            assert.strictEqual(data["version"], "2026-10-18");
+            assert.ok(fs.readFileSync(dataFile, "utf8").indexOf("null,\n\n    \"relations\": [") !== -1);
+            assert.deepStrictEqual(data["relations"].map(fragment => fragment["type__v"]), ["Email Fragment", "Email Fragment"]);
+            assert.ok(output.some(line => /2019-04-01 -> 2026-10-18: every entry in relations names its type__v/.test(line)));
+
+            return run(["upload", dataFile]);
+        }).then(() => assert.strictEqual(Object.keys(mock.documents).length, 3));
+    });
+
+    it("reports a missing filepath, or one that is a directory, as a problem", () => {
+        var dataFile = writePackage();
+        fs.mkdirSync(path.join(path.dirname(dataFile), "images"));
+        editData(dataFile, data => {
+            delete data["filepath"];
+            data["relations"][0]["filepath"] = "images";
+            data["relations"][1]["filepath"] = "";
+        });
+
+        return run(["validate", dataFile]).then(() => assert.fail("validate should fail"), error => {
+            assert.match(error.message, /3 problem\(s\) in /);
+            assert.match(error.message, /\n  filepath: I was expecting a non-empty value/);
+            assert.match(error.message, /relations\[0\]\.filepath: I was expecting a file, but .*images is a directory/);
+            assert.match(error.message, /relations\[1\]\.filepath: I was expecting a non-empty value/);
+        });
+    });
+
+    it("refuses data files of versions it doesn't know", () => {
+        var dataFile = writePackage();
+        editData(dataFile, data => data["version"] = "2099-01-01");
+
+        return run(["validate", dataFile]).then(() => assert.fail("validate should fail"), error => {
+            assert.match(error.message, /version "2099-01-01", which is newer than this tool understands \(up to 2026-10-18\)/);
+        });
+    });
+
+    it("links template fragments and promotional pieces", () => {
+        var dataFile = writePackage();
+        var dir = path.dirname(dataFile);
+        fs.writeFileSync(path.join(dir, "header.html"), fragmentHTML("Header"));
+        fs.writeFileSync(path.join(dir, "piece.pdf"), "%PDF-1.4 piece");
+        editData(dataFile, data => {
+            data["relations"][0]["promotional_piece"] = {
+                "filepath": "piece.pdf", "name__v": "TEST piece", "type__v": "Promotional Piece", "lifecycle__v": "Promotional Piece"
+            };
+            data["relations"].push({ "filepath": "header.html", "name__v": "TEST header", "type__v": "Template Fragment", "document_id": null });
+        });
+
+        return run(["upload", dataFile]).then(() => {
+            var data = readData(dataFile);
+            var ids = data["relations"].map(fragment => Number(fragment["document_id"]));
+            var pieceID = data["relations"][0]["promotional_piece"]["document_id"];
+
+            assert.ok(pieceID);
+            assert.strictEqual(Object.keys(mock.documents).length, 5);
+            assert.deepStrictEqual(mock.documentFields(pieceID)["product__v"], ["00P000000000101"]);
+            assert.deepStrictEqual(mock.relationshipsOf(data["document_id"]), [
+                { target: ids[0], type: "related_shared_resource__v" },
+                { target: ids[1], type: "related_shared_resource__v" },
+                { target: ids[2], type: "related_template_fragment__v" }
+            ]);
+            assert.deepStrictEqual(mock.relationshipsOf(ids[0]), [{ target: Number(pieceID), type: "related_pieces__v" }]);
+
+            // A piece that is in Vault already is only linked.
+            editData(dataFile, data => data["relations"][1]["promotional_piece"] = { "document_id": pieceID });
+            return run(["upload", dataFile]);
+        }).then(() => {
+            var data = readData(dataFile);
+
+            assert.strictEqual(Object.keys(mock.documents).length, 5);
+            assert.deepStrictEqual(mock.relationshipsOf(data["relations"][1]["document_id"]),
+                [{ target: Number(data["relations"][0]["promotional_piece"]["document_id"]), type: "related_pieces__v" }]);
+        });
+    });
+
+    it("writes the promotional piece of a shared fragment back to every package", () => {
+        var dir = path.dirname(writePackage());
+        fs.writeFileSync(path.join(dir, "piece.pdf"), "%PDF-1.4 piece");
+        ["a", "b"].forEach(name => editData(path.join(dir, "veeva.json"), data => {
+            data["name__v"] = "TEST " + name + " template";
+            data["relations"][0]["promotional_piece"] = {
+                "filepath": "piece.pdf", "name__v": "TEST piece", "type__v": "Promotional Piece", "lifecycle__v": "Promotional Piece"
+            };
+            fs.writeFileSync(path.join(dir, name + ".json"), JSON.stringify(data, null, 4) + "\n");
+        }));
+        fs.unlinkSync(path.join(dir, "veeva.json"));
+
+        return run(["upload", dir, "--concurrency", "2"]).then(() => {
+            var pieces = ["a", "b"].map(name => readData(path.join(dir, name + ".json"))["relations"][0]["promotional_piece"]["document_id"]);
+
+            assert.strictEqual(Object.keys(mock.documents).length, 5, "two templates, two fragments and one piece");
+            assert.ok(pieces[0]);
+            assert.strictEqual(pieces[1], pieces[0]);
+        });
+    });
+
+    it("deletes the fragments a batch shares once, and clears IDs of documents that are gone", () => {
+        var dir = path.dirname(writePackage());
+        var dataFile = name => path.join(dir, name + ".json");
+        ["a", "b"].forEach(name => editData(path.join(dir, "veeva.json"), data => {
+            data["name__v"] = "TEST " + name + " template";
+            fs.writeFileSync(dataFile(name), JSON.stringify(data, null, 4) + "\n");
+        }));
+        fs.unlinkSync(path.join(dir, "veeva.json"));
+
+        return run(["upload", dir, "--concurrency", "2"])
+            .then(() => {
+                delete mock.documents[readData(dataFile("a"))["relations"][1]["document_id"]];
+                return run(["delete", dir, "--concurrency", "2"]);
+            })
+            .then(() => {
+                assert.deepStrictEqual(Object.keys(mock.documents), []);
+                ["a", "b"].forEach(name => {
+                    var data = readData(dataFile(name));
+                    assert.deepStrictEqual([data].concat(data["relations"]).map(entry => entry["document_id"]), [null, null, null]);
+                });
+                assert.ok(output.some(line => / is no longer in Vault$/.test(line)));
+                assert.ok(output.some(line => / was deleted with another package$/.test(line)));
+            });
+    });
+
+    it("checks template fragments and promotional pieces against their schemas", () => {
+        var dataFile = writePackage();
+        editData(dataFile, data => {
+            data["relations"][0]["promotional_piece"] = { "filepath": "missing.pdf", "type__v": "Promotional Piece", "lifecycle__v": "Promotional Piece" };
+            data["relations"][1]["promotional_piece"] = {};
+            data["relations"].push({ "filepath": "first.html", "name__v": "TEST header", "type__v": "Template Fragment",
+                "promotional_piece": { "document_id": "1" } });
+            data["relations"].push({ "filepath": "first.html", "name__v": "TEST banner", "type__v": "Banner" });
+        });
+
+        return run(["validate", dataFile]).then(() => assert.fail("validate should fail"), error => {
+            assert.match(error.message, /relations\[0\]\.promotional_piece\.filepath: /);
+            assert.match(error.message, /relations\[0\]\.promotional_piece\.name__v: /);
+            assert.match(error.message, /relations\[1\]\.promotional_piece\.document_id: /);
+            assert.match(error.message, /relations\[2\]\.promotional_piece: only email fragments can have a promotional piece/);
+            assert.match(error.message, /relations\[3\]\.type__v: /);
+        });
+    });
+
+    it("lists documents with --dry-run without changing anything", () => {
+        var dataFile = writePackage();
+
+        return run(["upload", dataFile, "--dry-run"]).then(() => {
+            assert.deepStrictEqual(mock.documents, {});
+            assert.strictEqual(readData(dataFile)["document_id"], null);
+            assert.ok(output.some(line => /Email template "TEST template": create/.test(line)));
+        });
+    });
+});
@@ -0,0 +1,663 @@
+/**
+ * An in-memory stand-in for the Vault REST API, for tests. It runs an HTTP
+ * server in the test process and answers the calls veeva-vault.js makes:
+ * auth, documents (with versions, locks, files, renditions and lifecycle actions),
+ * relationships, binders, vobjects, document type metadata and simple VQL
+ * queries.
+ *
+ * Failures look like Vault's: HTTP 200 with
+ * { responseStatus: "FAILURE", errors: [{ type, message }] }
+ *
+ * Usage:
+ *   var mock = mockVault.create();
+ *   mock.start().then(host => vault.authenticate({ host: host, ... }));
+ *   ...
+ *   mock.stop();
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+
+var DEFAULT_USERS = { "test@example.com": "secret" };
+
+var DEFAULT_OBJECTS = {
+    "product__v": [
+        { id: "00P000000000101", "name__v": "Cholecap" },
+        { id: "00P000000000102", "name__v": "Restolar" }
+    ],
+    "country__v": [
+        { id: "00C000000000101", "name__v": "United States" },
+        { id: "00C000000000102", "name__v": "Canada" }
+    ]
+};
+
+var DEFAULT_ACTIONS = [
+    { "name__v": "submit_for_review__c", "label__v": "Submit for Review", "lifecycle_action_type__v": "stateChange", "next_state": "In Review" }
+];
+
+// A document field definition, as in Vault's document type metadata.
+var property = function(name, type, details) {
+    return Object.assign({ name: name, label: name, type: type, required: false, editable: true }, details);
+};
+
+var COMMON_PROPERTIES = [
+    property("name__v", "String", { required: true, maxLength: 100 }),
+    property("type__v", "String", { required: true, editable: false, setOnCreateOnly: true }),
+    property("lifecycle__v", "String", { required: true, editable: false, setOnCreateOnly: true }),
+    property("status__v", "String", { required: true, editable: false, systemAttribute: true }),
+    property("product__v", "ObjectReference", { repeating: true }),
+    property("country__v", "ObjectReference", { repeating: true })
+];
+
+var DEFAULT_DOCUMENT_TYPES = {
+    "email_template__v": {
+        label: "Email Template",
+        lifecycles: ["Approved Email"],
+        properties: COMMON_PROPERTIES.concat([
+            property("from_name__v", "String", { maxLength: 100 }),
+            property("from_address__v", "String", { maxLength: 100 }),
+            property("reply_to_name__v", "String", { maxLength: 100 }),
+            property("reply_to_address__v", "String", { maxLength: 100 }),
+            property("subject__v", "String", { required: true, maxLength: 255 }),
+            property("restrict_fragments_by_product__v", "Boolean")
+        ])
+    },
+    "email_fragment__v": { label: "Email Fragment", lifecycles: ["Approved Email"], properties: COMMON_PROPERTIES },
+    "template_fragment__v": { label: "Template Fragment", lifecycles: ["Approved Email"], properties: COMMON_PROPERTIES },
+    "promotional_piece__c": { label: "Promotional Piece", lifecycles: ["Promotional Piece"], properties: COMMON_PROPERTIES }
+};
+
+// Document fields that refer to vault objects, which Vault returns as lists.
+var REFERENCE_FIELDS = ["product__v", "country__v"];
+
+var REQUIRED_FIELDS = ["name__v", "type__v", "lifecycle__v"];
+
+var failure = function(type, message) {
+    return { responseStatus: "FAILURE", errors: [{ type: type, message: message }] };
+};
+
+var success = function(body) {
+    return Object.assign({ responseStatus: "SUCCESS" }, body);
+};
+
+var md5 = function(buffer) {
+    return crypto.createHash("md5").update(buffer).digest("hex");
+};
+
+/**
+ * Parse a multipart/form-data body.
+ *
+ * @return object { name: string value, or { filename, contentType, data: Buffer } for files }
+ */
+var parseMultipart = function(body, contentType) {
+    var boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+    var fields = {};
+    if (!boundary) {
+        return fields;
+    }
+    var delimiter = Buffer.from("--" + (boundary[1] || boundary[2]));
+    var start = body.indexOf(delimiter);
+
+    while (start !== -1) {
+        var next = body.indexOf(delimiter, start + delimiter.length);
+        if (next === -1) {
+            break;
+        }
+        // Each part: CRLF, headers, CRLF CRLF, data, CRLF
+        var part = body.slice(start + delimiter.length + 2, next - 2);
+        var headerEnd = part.indexOf("\r\n\r\n");
+        var headers = part.slice(0, headerEnd).toString("utf8");
+        var data = part.slice(headerEnd + 4);
+        var name = /name="([^"]*)"/.exec(headers);
+        var filename = /filename="([^"]*)"/.exec(headers);
+        var type = /content-type:\s*(.+)/i.exec(headers);
+
+        if (name) {
+            fields[name[1]] = filename
+                ? { filename: filename[1], contentType: type ? type[1].trim() : null, data: data }
+                : data.toString("utf8");
+        }
+        start = next;
+    }
+    return fields;
+};
+
+var parseBody = function(request, body) {
+    var contentType = request.headers["content-type"] || "";
+    if (contentType.indexOf("multipart/form-data") === 0) {
+        return parseMultipart(body, contentType);
+    }
+    var fields = {};
+    new URLSearchParams(body.toString("utf8")).forEach((value, key) => fields[key] = value);
+    return fields;
+};
+
+/**
+ * Evaluate the WHERE clause of a simple VQL query: conditions of the form
+ * `field = 'value'` joined with AND.
+ */
+var matchesQuery = function(where, record) {
+    if (!where) {
+        return true;
+    }
+    return where.split(/\s+AND\s+/i).every(condition => {
+        var match = /^\s*(\w+)\s*=\s*'((?:[^'\\]|\\.)*)'\s*$/.exec(condition);
+        if (!match) {
+            throw new Error("Unsupported condition: " + condition);
+        }
+        var value = match[2].replace(/\\(.)/g, "$1");
+        return [].concat(record[match[1]]).map(String).indexOf(value) !== -1;
+    });
+};
+
+/**
+ * Create a mock vault.
+ *
+ * @param object options (all optional)
+ * {
+ *   users: { username: password, ... }
+ *   objects: { object_type: [{ id, name__v }, ...], ... } for vobjects
+ *   actions: lifecycle actions available on every document
+ *   documentTypes: { name: { label, lifecycles: [labels], properties } } for
+ *     the document type metadata
+ *   pageSize: int records per query page (default 1000)
+ * }
+ *
+ * @return object mock
+ * {
+ *   start(): (promise-wrapped) API host URL to authenticate against
+ *   stop(): promise
+ *   documents: { id: document } everything in the vault
+ *   requests: [{ method, path, headers }] every request received, oldest first
+ *   fail(method, pattern, response, times): inject a fault
+ *   expireSessions(): make every session ID invalid
+ * }
+ */
+var create = function(options) {
+    options = options || {};
+    var users = options.users || DEFAULT_USERS;
+    var objects = options.objects || DEFAULT_OBJECTS;
+    var actions = options.actions || DEFAULT_ACTIONS;
+    var documentTypes = options.documentTypes || DEFAULT_DOCUMENT_TYPES;
+    var pageSize = options.pageSize || 1000;
+
+    var state = {
+        nextID: 1,
+        sessions: {},
+        documents: {},
+        relationships: [],
+        binderNodes: {},
+        queries: {},
+        faults: [],
+        requests: []
+    };
+    var server = null;
+    var nextID = () => state.nextID++;
+
+    /**
+     * Answer matching requests with an error instead of handling them.
+     *
+     * @param string method - "GET", "POST", ... or "*"
+     * @param RegExp|string pattern - matched against the path after /api/vX/
+     * @param response - { status: int } for an HTTP error (e.g. 503), with
+     *   retryAfter: seconds for a Retry-After header; { type, message } for a
+     *   Vault FAILURE result
+     * @param int times - how many requests to fail (default 1)
+     */
+    var fail = function(method, pattern, response, times) {
+        state.faults.push({ method: method, pattern: pattern, response: response, times: times || 1 });
+    };
+
+    var takeFault = function(method, path) {
+        var fault = state.faults.find(candidate => candidate.times > 0
+            && (candidate.method === "*" || candidate.method === method)
+            && (candidate.pattern instanceof RegExp ? candidate.pattern.test(path) : path.indexOf(candidate.pattern) !== -1));
+        if (fault) {
+            fault.times--;
+        }
+        return fault;
+    };
+
+    // A document as Vault returns it.
+    var documentView = function(document, version) {
+        var view = Object.assign({ id: document.id }, version.fields);
+        REFERENCE_FIELDS
+            .filter(field => view[field] !== undefined)
+            .forEach(field => view[field] = [].concat(view[field]));
+        view["major_version_number__v"] = version.major;
+        view["minor_version_number__v"] = version.minor;
+        view["status__v"] = document.status;
+        view["md5checksum__v"] = version.file ? md5(version.file.data) : undefined;
+        view["binder__v"] = document.binder;
+        view["locked__v"] = Boolean(document.lockedBy);
+        return view;
+    };
+
+    var latest = function(document) {
+        return document.versions[document.versions.length - 1];
+    };
+
+    var findVersion = function(document, major, minor) {
+        return document.versions.find(version => version.major === Number(major) && version.minor === Number(minor));
+    };
+
+    var checkReferences = function(fields) {
+        var problem = REFERENCE_FIELDS.find(field => fields[field] !== undefined
+            && !(objects[field] || []).some(object => object.id === fields[field]));
+        return problem && failure("INVALID_DATA", "Invalid value [" + fields[problem] + "] for field [" + problem + "]");
+    };
+
+    var newDocument = function(fields, file, binder) {
+        var document = {
+            id: nextID(),
+            status: "Draft",
+            binder: Boolean(binder),
+            lockedBy: null,
+            versions: [{ major: 0, minor: 1, fields: fields, file: file }]
+        };
+        state.documents[document.id] = document;
+        return document;
+    };
+
+    var deleteDocument = function(document) {
+        var inBinder = Object.keys(state.binderNodes)
+            .some(binderID => state.binderNodes[binderID].some(node => node.documentID === document.id));
+        if (inBinder) {
+            return failure("OPERATION_NOT_ALLOWED", "Document is used in a binder");
+        }
+        delete state.documents[document.id];
+        delete state.binderNodes[document.id];
+        state.relationships = state.relationships.filter(relationship => relationship.source !== document.id
+            && relationship.target !== document.id);
+        return success({ id: document.id });
+    };
+
+    // Every route: [method, path pattern, handler(match, request)]
+    var routes = [
+        ["GET", /^vobjects\/(\w+)$/, match => {
+            if (!objects[match[1]]) {
+                return failure("INVALID_DATA", "Object [" + match[1] + "] does not exist");
+            }
+            return success({ data: objects[match[1]] });
+        }],
+
+        ["GET", /^metadata\/objects\/documents\/types$/, () => success({
+            types: Object.keys(documentTypes).map(name => ({
+                label: documentTypes[name].label,
+                value: "https://mock.veevavault.com/api/v18.3/metadata/objects/documents/types/" + name
+            }))
+        })],
+        ["GET", /^metadata\/objects\/documents\/types\/(\w+)$/, match => {
+            var type = documentTypes[match[1]];
+            if (!type) {
+                return failure("INVALID_DATA", "Document type [" + match[1] + "] does not exist");
+            }
+            return success({
+                name: match[1],
+                label: type.label,
+                properties: type.properties,
+                availableLifecycles: type.lifecycles.map(label => ({ name: label.toLowerCase().replace(/\W+/g, "_") + "__v", label: label }))
+            });
+        }],
+
+        ["POST", /^query$/, (match, request) => runQuery(request.fields.q)],
+        ["GET", /^query\/(\w+)$/, (match, request) => queryPage(match[1], Number(request.query.get("pageoffset")))],
+
+        ["GET", /^objects\/documents$/, () => success({
+            documents: Object.keys(state.documents).map(id => ({ document: documentView(state.documents[id], latest(state.documents[id])) }))
+        })],
+
+        ["POST", /^objects\/documents$/, (match, request) => {
+            var fields = Object.assign({}, request.fields);
+            var file = fields.file;
+            delete fields.file;
+            var missing = REQUIRED_FIELDS.find(field => !fields[field]);
+            if (missing) {
+                return failure("PARAMETER_REQUIRED", "Missing required parameter [" + missing + "]");
+            }
+            if (!file || typeof file !== "object") {
+                return failure("PARAMETER_REQUIRED", "Missing required parameter [file]");
+            }
+            return checkReferences(fields) || success({ id: newDocument(fields, file).id });
+        }],
+
+        ["GET", /^objects\/documents\/(\d+)$/, (match, request, document) => success({
+            document: documentView(document, latest(document)),
+            versions: document.versions.map(version => ({ number: version.major + "." + version.minor }))
+        })],
+
+        ["PUT", /^objects\/documents\/(\d+)$/, (match, request, document) => {
+            var version = latest(document);
+            var problem = checkReferences(request.fields);
+            if (problem) {
+                return problem;
+            }
+            version.fields = Object.assign({}, version.fields, request.fields);
+            return success({ id: document.id });
+        }],
+
+        // A new file makes a new version; the document must be locked first.
+        ["POST", /^objects\/documents\/(\d+)$/, (match, request, document) => {
+            if (document.lockedBy !== request.session) {
+                return failure("OPERATION_NOT_ALLOWED", "Document must be checked out to upload a new version");
+            }
+            if (!request.fields.file || typeof request.fields.file !== "object") {
+                return failure("PARAMETER_REQUIRED", "Missing required parameter [file]");
+            }
+            var version = latest(document);
+            document.versions.push({
+                major: version.major,
+                minor: version.minor + 1,
+                fields: Object.assign({}, version.fields),
+                file: request.fields.file
+            });
+            return success({ id: document.id, major_version_number__v: version.major, minor_version_number__v: version.minor + 1 });
+        }],
+
+        ["DELETE", /^objects\/documents\/(\d+)$/, (match, request, document) => deleteDocument(document)],
+
+        ["POST", /^objects\/documents\/(\d+)\/lock$/, (match, request, document) => {
+            if (document.lockedBy && document.lockedBy !== request.session) {
+                return failure("OPERATION_NOT_ALLOWED", "Document is checked out by another user");
+            }
+            document.lockedBy = request.session;
+            return success({});
+        }],
+
+        ["DELETE", /^objects\/documents\/(\d+)\/lock$/, (match, request, document) => {
+            document.lockedBy = null;
+            return success({});
+        }],
+
+        ["GET", /^objects\/documents\/(\d+)\/versions$/, (match, request, document) => success({
+            versions: document.versions.map(version => ({ number: version.major + "." + version.minor }))
+        })],
+
+        ["GET", /^objects\/documents\/(\d+)\/versions\/(\d+)\/(\d+)$/, (match, request, document, version) => success({
+            document: documentView(document, version)
+        })],
+
+        ["GET", /^objects\/documents\/(\d+)(?:\/versions\/(\d+)\/(\d+))?\/file$/, (match, request, document, version) => {
+            var file = (version || latest(document)).file;
+            return { file: file };
+        }],
+
+        // Every version with a file has a viewable rendition: a PDF that
+        // names the file.
+        ["GET", /^objects\/documents\/(\d+)(?:\/versions\/(\d+)\/(\d+))?\/renditions\/([^/]+)$/, (match, request, document, version) => {
+            var file = (version || latest(document)).file;
+            if (match[4] !== "viewable_rendition__v" || !file) {
+                return failure("INVALID_DATA", "Rendition [" + match[4] + "] does not exist");
+            }
+            return { file: {
+                data: Buffer.from("%PDF-1.4 " + file.filename),
+                filename: file.filename.replace(/\.[^.]*$/, "") + ".pdf",
+                contentType: "application/pdf"
+            } };
+        }],
+
+        ["GET", /^objects\/documents\/(\d+)\/versions\/(\d+)\/(\d+)\/relationships$/, (match, request, document) => success({
+            relationships: state.relationships
+                .filter(relationship => relationship.source === document.id || relationship.target === document.id)
+                .map(relationship => ({
+                    relationship: {
+                        id: relationship.id,
+                        "source_doc_id__v": relationship.source,
+                        "target_doc_id__v": relationship.target,
+                        "relationship_type__v": relationship.type
+                    }
+                }))
+        })],
+
+        ["POST", /^objects\/documents\/(\d+)\/versions\/(\d+)\/(\d+)\/relationships$/, (match, request, document) => {
+            var target = Number(request.fields["target_doc_id__v"]);
+            if (!state.documents[target]) {
+                return failure("INVALID_DATA", "Invalid value [" + request.fields["target_doc_id__v"] + "] for field [target_doc_id__v]");
+            }
+            var relationship = { id: nextID(), source: document.id, target: target, type: request.fields["relationship_type__v"] };
+            var duplicate = state.relationships.some(existing => existing.source === relationship.source
+                && existing.target === relationship.target && existing.type === relationship.type);
+            if (duplicate) {
+                return failure("OPERATION_NOT_ALLOWED", "Relationship already exists");
+            }
+            state.relationships.push(relationship);
+            return success({ id: relationship.id });
+        }],
+
+        ["DELETE", /^objects\/documents\/(\d+)\/versions\/(\d+)\/(\d+)\/relationships\/(\d+)$/, (match, request, document) => {
+            var index = state.relationships.findIndex(relationship => relationship.id === Number(match[4])
+                && relationship.source === document.id);
+            if (index === -1) {
+                return failure("INVALID_DATA", "Relationship [" + match[4] + "] does not exist");
+            }
+            state.relationships.splice(index, 1);
+            return success({});
+        }],
+
+        ["GET", /^objects\/documents\/(\d+)\/versions\/(\d+)\/(\d+)\/lifecycle_actions$/, () => success({
+            "lifecycle_actions__v": actions.map(action => ({ "name__v": action["name__v"], "label__v": action["label__v"], "lifecycle_action_type__v": action["lifecycle_action_type__v"] }))
+        })],
+
+        ["PUT", /^objects\/documents\/(\d+)\/versions\/(\d+)\/(\d+)\/lifecycle_actions\/(\w+)$/, (match, request, document) => {
+            var action = actions.find(candidate => candidate["name__v"] === match[4]);
+            if (!action) {
+                return failure("INVALID_DATA", "Action [" + match[4] + "] is not available");
+            }
+            document.status = action["next_state"];
+            return success({ id: document.id });
+        }],
+
+        ["POST", /^objects\/binders$/, (match, request) => {
+            var missing = REQUIRED_FIELDS.find(field => !request.fields[field]);
+            if (missing) {
+                return failure("PARAMETER_REQUIRED", "Missing required parameter [" + missing + "]");
+            }
+            var binder = newDocument(Object.assign({}, request.fields), null, true);
+            state.binderNodes[binder.id] = [];
+            return success({ id: binder.id });
+        }],
+
+        ["GET", /^objects\/binders\/(\d+)$/, (match, request, binder) => success({
+            document: documentView(binder, latest(binder)),
+            binder: {
+                nodes: state.binderNodes[binder.id].map((node, index) => ({
+                    properties: { id: node.id, "document_id__v": node.documentID, "order__v": index + 1 }
+                }))
+            }
+        })],
+
+        ["PUT", /^objects\/binders\/(\d+)$/, (match, request, binder) => {
+            latest(binder).fields = Object.assign({}, latest(binder).fields, request.fields);
+            return success({ id: binder.id });
+        }],
+
+        ["DELETE", /^objects\/binders\/(\d+)$/, (match, request, binder) => {
+            delete state.binderNodes[binder.id];
+            return deleteDocument(binder);
+        }],
+
+        ["POST", /^objects\/binders\/(\d+)\/documents$/, (match, request, binder) => {
+            var documentID = Number(request.fields["document_id__v"]);
+            if (!state.documents[documentID]) {
+                return failure("INVALID_DATA", "Document [" + request.fields["document_id__v"] + "] does not exist");
+            }
+            var node = { id: nextID(), documentID: documentID };
+            var order = Number(request.fields["order__v"]) || state.binderNodes[binder.id].length + 1;
+            state.binderNodes[binder.id].splice(order - 1, 0, node);
+            return success({ id: node.id });
+        }],
+
+        ["DELETE", /^objects\/binders\/(\d+)\/documents\/(\d+)$/, (match, request, binder) => {
+            var nodes = state.binderNodes[binder.id];
+            var index = nodes.findIndex(node => node.id === Number(match[2]));
+            if (index === -1) {
+                return failure("INVALID_DATA", "Node [" + match[2] + "] does not exist");
+            }
+            nodes.splice(index, 1);
+            return success({});
+        }]
+    ];
+
+    // Runs the query and keeps the result for paging.
+    var runQuery = function(vql) {
+        var match = /^\s*SELECT\s+(.+?)\s+FROM\s+documents(?:\s+WHERE\s+(.+?))?\s*$/i.exec(vql || "");
+        if (!match) {
+            return failure("MALFORMED_URL", "Unsupported query: " + vql);
+        }
+        var fields = match[1].split(",").map(field => field.trim());
+        var records;
+        try {
+            records = Object.keys(state.documents)
+                .map(id => documentView(state.documents[id], latest(state.documents[id])))
+                .filter(record => matchesQuery(match[2], record));
+        } catch (e) {
+            return failure("MALFORMED_URL", e.message);
+        }
+        var queryID = "Q" + nextID();
+        state.queries[queryID] = records.map(record => {
+            var selected = {};
+            fields.forEach(field => selected[field] = record[field]);
+            return selected;
+        });
+        return queryPage(queryID, 0);
+    };
+
+    var queryPage = function(queryID, offset) {
+        var records = state.queries[queryID];
+        if (!records) {
+            return failure("INVALID_DATA", "Query [" + queryID + "] has expired");
+        }
+        var details = { total: records.length, pagesize: pageSize, pageoffset: offset };
+        if (offset + pageSize < records.length) {
+            details.next_page = "/api/v18.3/query/" + queryID + "?pagesize=" + pageSize + "&pageoffset=" + (offset + pageSize);
+        }
+        return success({ responseDetails: details, data: records.slice(offset, offset + pageSize) });
+    };
+
+    var authenticate = function(fields) {
+        if (!users.hasOwnProperty(fields.username) || users[fields.username] !== fields.password) {
+            return failure("USERNAME_OR_PASSWORD_INCORRECT", "Authentication failed for user: " + fields.username);
+        }
+        var sessionID = crypto.randomBytes(16).toString("hex");
+        state.sessions[sessionID] = fields.username;
+        return success({ sessionId: sessionID });
+    };
+
+    var handle = function(request, body) {
+        var url = new URL(request.url, "http://localhost");
+        var path = url.pathname.replace(/^\/api\/[^/]+\//, "");
+        var method = request.method;
+        state.requests.push({ method: method, path: path, headers: request.headers });
+
+        var fault = takeFault(method, path);
+        if (fault) {
+            return fault.response.status
+                ? { httpStatus: fault.response.status, retryAfter: fault.response.retryAfter, body: { message: "Injected fault" } }
+                : failure(fault.response.type, fault.response.message || "Injected fault");
+        }
+
+        request.fields = parseBody(request, body);
+        request.query = url.searchParams;
+
+        if (method === "POST" && path === "auth") {
+            return authenticate(request.fields);
+        }
+
+        request.session = request.headers.authorization;
+        if (!state.sessions[request.session]) {
+            return failure("INVALID_SESSION_ID", "Invalid or expired session ID.");
+        }
+
+        var candidates = routes.filter(route => route[1].test(path));
+        var route = candidates.find(candidate => candidate[0] === method);
+        if (!route) {
+            return candidates.length
+                ? failure("METHOD_NOT_SUPPORTED", "Method " + method + " is not supported for " + path)
+                : failure("MALFORMED_URL", "The resource [" + path + "] does not exist");
+        }
+
+        var match = route[1].exec(path);
+        var document = null;
+        var version = null;
+        if (/^objects\/(documents|binders)\/\d+/.test(path)) {
+            document = state.documents[Number(match[1])];
+            if (!document) {
+                return failure("INVALID_DATA", "Invalid document id [" + match[1] + "]");
+            }
+            if (/\/versions\/\d+\/\d+/.test(path)) {
+                version = findVersion(document, match[2], match[3]);
+                if (!version) {
+                    return failure("INVALID_DATA", "Version [" + match[2] + "." + match[3] + "] does not exist");
+                }
+            }
+        }
+        return route[2](match, request, document, version);
+    };
+
+    var respond = function(response, result) {
+        if (result && result.file !== undefined) {
+            if (!result.file) {
+                return respond(response, failure("INVALID_DATA", "Document has no file"));
+            }
+            response.writeHead(200, {
+                "Content-Type": result.file.contentType || "application/octet-stream",
+                "Content-Disposition": "attachment;filename=\"" + encodeURIComponent(result.file.filename) + "\""
+            });
+            return response.end(result.file.data);
+        }
+        var headers = { "Content-Type": "application/json;charset=UTF-8" };
+        if (result.retryAfter) {
+            headers["Retry-After"] = String(result.retryAfter);
+        }
+        response.writeHead(result.httpStatus || 200, headers);
+        response.end(JSON.stringify(result.httpStatus ? result.body : result));
+    };
+
+    var start = function() {
+        return new Promise((resolve, reject) => {
+            server = http.createServer((request, response) => {
+                var chunks = [];
+                request.on("data", chunk => chunks.push(chunk));
+                request.on("end", () => {
+                    var result;
+                    try {
+                        result = handle(request, Buffer.concat(chunks));
+                    } catch (e) {
+                        result = { httpStatus: 500, body: { message: e.message } };
+                    }
+                    respond(response, result);
+                });
+            });
+            server.on("error", reject);
+            server.listen(0, "127.0.0.1", () => resolve("http://127.0.0.1:" + server.address().port + "/api/v18.3/"));
+        });
+    };
+
+    var stop = function() {
+        return new Promise(resolve => server ? server.close(() => resolve()) : resolve());
+    };
+
+    return {
+        start: start,
+        stop: stop,
+        documents: state.documents,
+        requests: state.requests,
+        fail: fail,
+        expireSessions: () => Object.keys(state.sessions).forEach(id => delete state.sessions[id]),
+
+        // The relationships starting at a document, as [{ target, type }].
+        relationshipsOf: documentID => state.relationships
+            .filter(relationship => relationship.source === Number(documentID))
+            .map(relationship => ({ target: relationship.target, type: relationship.type })),
+
+        // The latest version's fields of a document, as Vault would return them.
+        documentFields: documentID => documentView(state.documents[documentID], latest(state.documents[documentID]))
+    };
+};
+
+module.exports = {
+    create: create,
+    DEFAULT_USERS: DEFAULT_USERS,
+    DEFAULT_OBJECTS: DEFAULT_OBJECTS,
+    DEFAULT_DOCUMENT_TYPES: DEFAULT_DOCUMENT_TYPES
+};
@@ -0,0 +1,208 @@
+/**
+ * Tests of the Vault clients in veeva-vault.js against the mock vault.
+ *
+ * Run with: npm test
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+
+const mockVault = require("./mockVault");
+const vault = require("../veeva-vault");
+
+describe("veeva-vault", () => {
+    var sandbox;
+    var production;
+    var hosts;
+
+    beforeEach(() => {
+        sandbox = mockVault.create({
+            users: { "sandbox@example.com": "sandbox" },
+            objects: { "product__v": [{ id: "00P000000000201", "name__v": "Sandbox product" }] }
+        });
+        production = mockVault.create({
+            users: { "production@example.com": "production" },
+            objects: { "product__v": [{ id: "00P000000000301", "name__v": "Production product" }] }
+        });
+        return Promise.all([sandbox.start(), production.start()]).then(started => hosts = started);
+    });
+
+    afterEach(() => Promise.all([sandbox.stop(), production.stop()]));
+
+    it("keeps a separate session per client", () => {
+        var first = vault.createClient({ host: hosts[0], username: "sandbox@example.com", password: "sandbox" });
+        var second = vault.createClient({ host: hosts[1], username: "production@example.com", password: "production" });
+
+        return Promise.all([first.authenticate(), second.authenticate()])
+            .then(() => Promise.all([first.getProducts(), second.getProducts()]))
+            .then(products => {
+                assert.deepStrictEqual(products[0].map(product => product["name__v"]), ["Sandbox product"]);
+                assert.deepStrictEqual(products[1].map(product => product["name__v"]), ["Production product"]);
+            });
+    });
+
+    it("keeps settings and HTTP options per client", () => {
+        var client = vault.createClient(
+            { host: hosts[0], username: "sandbox@example.com", password: "sandbox" },
+            { retries: 0, http: { headers: { "X-Test": "sandbox" } } }
+        );
+        sandbox.fail("GET", /vobjects/, { status: 503 }, 1);
+
+        return client.authenticate()
+            .then(() => client.getProducts())
+            .then(() => assert.fail("the request should not be retried"), error => {
+                assert.match(error.message, /503/);
+                assert.ok(sandbox.requests.every(request => request.headers["x-test"] === "sandbox"));
+                assert.throws(() => vault.createClient(null, { color: true }), /Unknown vault setting: color/);
+            });
+    });
+
+    it("waits no longer than maxRetryDelay, whatever Retry-After asks for", () => {
+        var client = vault.createClient(
+            { host: hosts[0], username: "sandbox@example.com", password: "sandbox" },
+            { retryDelay: 1, maxRetryDelay: 5 }
+        );
+        sandbox.fail("GET", /vobjects/, { status: 429, retryAfter: 3600 }, 1);
+
+        return client.authenticate()
+            .then(() => client.getProducts())
+            .then(products => assert.strictEqual(products.length, 1));
+    });
+
+    it("creates relationships of the given type, shared resources by default", () => {
+        var client = vault.createClient({ host: hosts[0], username: "sandbox@example.com", password: "sandbox" });
+        var create = name => client.createDocument({
+            "name__v": name, "type__v": "Email Fragment", "lifecycle__v": "Approved Email", "product__v": "00P000000000201",
+            file: { value: Buffer.from("<p>" + name + "</p>"), options: { filename: name + ".html" } }
+        });
+        var ids;
+
+        return client.authenticate()
+            .then(() => Promise.all([create("Template"), create("Fragment"), create("Header")]))
+            .then(created => {
+                ids = created;
+                var template = { id: ids[0], version_major: 0, version_minor: 1 };
+                return client.createDocumentRelationship(template, ids[1])
+                    .then(() => client.createDocumentRelationship(template, ids[2], "related_template_fragment__v"))
+                    .then(relationshipID => {
+                        assert.ok(relationshipID);
+                        return client.getDocumentRelationships(template);
+                    });
+            })
+            .then(relationships => {
+                assert.deepStrictEqual(relationships.map(entry => [entry.relationship["target_doc_id__v"], entry.relationship["relationship_type__v"]]),
+                    [[ids[1], "related_shared_resource__v"], [ids[2], "related_template_fragment__v"]]);
+            });
+    });
+
+    it("lists the versions of a document, and reads and downloads each with its rendition", () => {
+        var client = vault.createClient({ host: hosts[0], username: "sandbox@example.com", password: "sandbox" });
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), "veeva-vault-test-"));
+        var file = (name, content) => ({ value: Buffer.from(content), options: { filename: name } });
+        var versions;
+
+        return client.authenticate()
+            .then(() => client.createDocument({
+                "name__v": "Fragment", "type__v": "Email Fragment", "lifecycle__v": "Approved Email",
+                file: file("one.html", "<p>One</p>")
+            }))
+            .then(id => client.updateDocumentFile(id, file("two.html", "<p>Two</p>")).then(() => client.getDocumentVersions(id)))
+            .then(listed => {
+                versions = listed;
+                assert.deepStrictEqual(versions.map(version => [version.version_major, version.version_minor, version.number]),
+                    [[0, 1, "0.1"], [0, 2, "0.2"]]);
+                return client.getDocumentVersion(versions[0]);
+            })
+            .then(document => {
+                assert.strictEqual(document["minor_version_number__v"], 1);
+                return client.downloadDocumentFile(versions[0], path.join(dir, "one.html"));
+            })
+            .then(downloaded => {
+                assert.strictEqual(fs.readFileSync(downloaded.path, "utf8"), "<p>One</p>");
+                return client.downloadDocumentFile(versions[1], path.join(dir, "two.pdf"), "viewable_rendition__v");
+            })
+            .then(downloaded => {
+                assert.deepStrictEqual([downloaded.filename, downloaded.content_type], ["two.pdf", "application/pdf"]);
+                assert.strictEqual(fs.readFileSync(downloaded.path, "utf8"), "%PDF-1.4 two.html");
+                return client.downloadDocumentFile(versions[1], path.join(dir, "missing.pdf"), "thumbnail__v");
+            })
+            .then(() => assert.fail("there is no such rendition"), error => {
+                assert.match(error.message, /downloadDocumentFile\( document_id = \d+, rendition_type = thumbnail__v \)/);
+                assert.deepStrictEqual(fs.readdirSync(dir).sort(), ["one.html", "two.pdf"]);
+            })
+            .finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+    });
+
+    it("retries a download after a server error, and renews an expired session for it", () => {
+        var client = vault.createClient(
+            { host: hosts[0], username: "sandbox@example.com", password: "sandbox" },
+            { retryDelay: 1 }
+        );
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), "veeva-vault-test-"));
+        var documentID;
+
+        return client.authenticate()
+            .then(() => client.createDocument({
+                "name__v": "Fragment", "type__v": "Email Fragment", "lifecycle__v": "Approved Email",
+                file: { value: Buffer.from("<p>Hi</p>"), options: { filename: "hi.html" } }
+            }))
+            .then(id => {
+                documentID = id;
+                sandbox.fail("GET", /\/file$/, { status: 503 }, 1);
+                return client.downloadDocumentFile({ id: documentID }, path.join(dir, "retried.html"));
+            })
+            .then(downloaded => {
+                assert.strictEqual(fs.readFileSync(downloaded.path, "utf8"), "<p>Hi</p>");
+                sandbox.expireSessions();
+                return client.downloadDocumentFile({ id: documentID }, path.join(dir, "renewed.html"));
+            })
+            .then(downloaded => {
+                assert.strictEqual(fs.readFileSync(downloaded.path, "utf8"), "<p>Hi</p>");
+                assert.strictEqual(sandbox.requests.filter(request => request.path === "auth").length, 2);
+            })
+            .finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+    });
+
+    it("follows next_page through every page of a query", () => {
+        var paged = mockVault.create({ pageSize: 2 });
+        var client;
+        var names = ["One", "Two", "Three", "Four", "Five"];
+        var pageRequests = () => paged.requests.filter(request => /^query\/Q\w+$/.test(request.path)).length;
+
+        return paged.start()
+            .then(host => {
+                client = vault.createClient({ host: host, username: "test@example.com", password: "secret" });
+                return client.authenticate();
+            })
+            .then(() => names.reduce((previous, name) => previous.then(() => client.createDocument({
+                "name__v": name, "type__v": "Email Fragment", "lifecycle__v": "Approved Email",
+                file: { value: Buffer.from("<p>" + name + "</p>"), options: { filename: name + ".html" } }
+            })), Promise.resolve()))
+            .then(() => client.query("SELECT id, name__v FROM documents"))
+            .then(records => {
+                assert.deepStrictEqual(records.map(record => record["name__v"]), names);
+                assert.strictEqual(pageRequests(), 2);
+                return (async () => {
+                    var iterated = [];
+                    for await (const record of client.queryIterator("SELECT name__v FROM documents")) {
+                        iterated.push(record["name__v"]);
+                    }
+                    return iterated;
+                })();
+            })
+            .then(iterated => {
+                assert.deepStrictEqual(iterated, names);
+                assert.strictEqual(pageRequests(), 4);
+            })
+            .finally(() => paged.stop());
+    });
+
+    it("fails to authenticate without credentials", () => {
+        return vault.createClient().authenticate().then(() => assert.fail("authenticate should fail"), error => {
+            assert.match(error.message, /no credentials/);
+        });
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * A journal of everything an upload changed in Vault, so a failed upload can
+ * be undone.
+ *
+ * The journal is written to disk after every entry, which means an upload
+ * that was interrupted (or run with --no-rollback) can still be rolled back
+ * later from the file.
+ *
+ * Entries, oldest first:
+ * - { type: "document", id, name, dataFile, path }
+ *     a document was created; `path` locates its entry in the data file
+ * - { type: "link", document: { id, version_major, version_minor },
+ *     relationship_id, target_id }
+ *     a relationship was created
+ * - { type: "unlink", document: { ... }, target_id, relationship_type }
+ *     a relationship was removed
+ */
+
+const fs = require("fs");
+const jsonPatch = require("./jsonPatch");
+
+// The journal of `veeva.json` is `veeva.journal.json`.
+var journalPath = function(dataFile) {
+    return dataFile.replace(/\.json$/i, "") + ".journal.json";
+};
+
+var save = function(journal) {
+    fs.writeFileSync(journal.file, JSON.stringify({ dataFile: journal.dataFile, entries: journal.entries }, null, 4));
+};
+
+/**
+ * Start a new journal for an upload of the given data file.
+ *
+ * Nothing is written until the first entry is recorded.
+ */
+var create = function(dataFile) {
+    return { file: journalPath(dataFile), dataFile: dataFile, entries: [] };
+};
+
+/**
+ * Load the journal of a data file from disk.
+ *
+ * @return journal, or null if there is none
+ */
+var load = function(dataFile) {
+    var file = journalPath(dataFile);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    var saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { file: file, dataFile: saved.dataFile, entries: saved.entries };
+};
+
+var record = function(journal, entry) {
+    journal.entries.push(entry);
+    save(journal);
+};
+
+/**
+ * Delete the journal file, once there is nothing left to undo.
+ */
+var discard = function(journal) {
+    if (fs.existsSync(journal.file)) {
+        fs.unlinkSync(journal.file);
+    }
+};
+
+// Clears a deleted document's ID from the data file, unless someone has put
+// another ID there since.
+var forgetDocumentID = function(entry) {
+    var text = fs.readFileSync(entry.dataFile, "utf8");
+    var data = JSON.parse(text);
+    var current = entry.path.reduce((value, key) => value && value[key], data);
+
+    if (current && String(current["document_id"]) === String(entry.id)) {
+        fs.writeFileSync(entry.dataFile, jsonPatch.setValue(text, entry.path.concat("document_id"), null));
+    }
+};
+
+var undo = function(vault, entry) {
+    if (entry.type === "link") {
+        return vault.removeDocumentRelationship(entry.document, entry.relationship_id);
+    }
+    if (entry.type === "unlink") {
+        return vault.createDocumentRelationship(entry.document, entry.target_id, entry.relationship_type);
+    }
+    return vault.deleteDocument(entry.id).then(() => forgetDocumentID(entry));
+};
+
+/**
+ * Undo every entry, newest first.
+ *
+ * Each undone entry is dropped from the journal (and the file) right away, so
+ * a rollback that fails halfway can simply be started again. Once everything
+ * is undone, the journal file is deleted.
+ *
+ * @param object vault - authenticated vault wrapper
+ * @param object journal
+ * @param function report - called with a message for every undone entry
+ * @param function keep - optional; entries it returns true for are not undone
+ *     and stay in the journal
+ */
+var rollback = function(vault, journal, report, keep) {
+    var undoFrom = function(index) {
+        if (index < 0) {
+            if (journal.entries.length === 0) {
+                discard(journal);
+            }
+            return Promise.resolve();
+        }
+
+        var entry = journal.entries[index];
+        if (keep && keep(entry)) {
+            return undoFrom(index - 1);
+        }
+        return undo(vault, entry).then(() => {
+            journal.entries.splice(index, 1);
+            save(journal);
+            if (report) {
+                report(describe(entry));
+            }
+            return undoFrom(index - 1);
+        });
+    };
+
+    return undoFrom(journal.entries.length - 1);
+};
+
+var describe = function(entry) {
+    if (entry.type === "link") {
+        return "Removed relationship " + entry.document.id + " -> " + entry.target_id;
+    }
+    if (entry.type === "unlink") {
+        return "Restored relationship " + entry.document.id + " -> " + entry.target_id;
+    }
+    return "Deleted \"" + entry.name + "\" (" + entry.id + ")";
+};
+
+module.exports = {
+    journalPath: journalPath,
+    create: create,
+    load: load,
+    record: record,
+    discard: discard,
+    rollback: rollback
+};
@@ -0,0 +1,54 @@
+/**
+ * A small on-disk cache for things we look up in a vault, kept per vault host
+ * in `.vault-cache/` next to this file (or in $VAULT_CACHE_DIR).
+ *
+ * Entries are JSON files: .vault-cache/<host>/<name>.json
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+var CACHE_DIR = process.env.VAULT_CACHE_DIR || path.join(__dirname, ".vault-cache");
+
+var entryPath = function(host, name) {
+    var hostDir = String(host).replace(/^https?:\/\//, "").replace(/[^\w.-]+/g, "_");
+    return path.join(CACHE_DIR, hostDir, name + ".json");
+};
+
+/**
+ * Read a cache entry.
+ *
+ * @param string host - the vault host the entry belongs to
+ * @param string name - entry name, e.g. "product__v"
+ * @param int maxAge - milliseconds; older entries are ignored. Leave out to
+ *   accept entries of any age.
+ *
+ * @return the cached data, or null if there is no (fresh enough) entry
+ */
+var read = function(host, name, maxAge) {
+    var file = entryPath(host, name);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+
+    var entry = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (typeof maxAge === "number" && Date.now() - entry.saved > maxAge) {
+        return null;
+    }
+    return entry.data;
+};
+
+/**
+ * Write a cache entry, replacing any existing one.
+ */
+var write = function(host, name, data) {
+    var file = entryPath(host, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ saved: Date.now(), data: data }, null, 2));
+};
+
+module.exports = {
+    CACHE_DIR: CACHE_DIR,
+    read: read,
+    write: write
+};
@@ -0,0 +1,124 @@
+/**
+ * Resolve vault objects such as products and countries given by either their
+ * ID or their name (`name__v`).
+ *
+ * Object lists are cached per vault host for a day. A value that isn't in the
+ * cached list triggers one fresh download before we give up on it, so objects
+ * added to the vault since are still found.
+ */
+
+const vaultCache = require("./vaultCache");
+
+var MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the objects of a type, from the cache if possible.
+ *
+ * @param object vault - authenticated vault wrapper
+ * @param string host - vault host, used as the cache key
+ * @param string objectType - e.g. "product__v"
+ * @param boolean refresh - ignore the cache
+ *
+ * @return (promise-wrapped) array of { id, name__v }
+ */
+var getObjects = function(vault, host, objectType, refresh) {
+    var cached = refresh ? null : vaultCache.read(host, objectType, MAX_AGE);
+    if (cached) {
+        return Promise.resolve(cached);
+    }
+
+    return vault.getVaultObjects(objectType).then(objects => {
+        var list = objects.map(object => ({ id: object.id, name__v: object["name__v"] }));
+        vaultCache.write(host, objectType, list);
+        return list;
+    });
+};
+
+/**
+ * Find the object with the given ID or (case-insensitive) name.
+ *
+ * @return object, or undefined if there is none
+ */
+var findObject = function(objects, value) {
+    var name = String(value).toLowerCase();
+    return objects.find(object => object.id === value)
+        || objects.find(object => String(object["name__v"]).toLowerCase() === name);
+};
+
+var editDistance = function(a, b) {
+    var previous = [];
+    for (var j = 0; j <= b.length; j++) {
+        previous.push(j);
+    }
+    for (var i = 1; i <= a.length; i++) {
+        var current = [i];
+        for (j = 1; j <= b.length; j++) {
+            current.push(Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Suggest up to `limit` object names close to the given value.
+ */
+var suggest = function(objects, value, limit) {
+    var wanted = String(value).toLowerCase();
+
+    return objects
+        .map(object => {
+            var name = String(object["name__v"]).toLowerCase();
+            var distance = Math.min(editDistance(wanted, name), editDistance(wanted, String(object.id).toLowerCase()));
+            // Partial names ("chole" for "cholecap") are good suggestions too.
+            if (name.indexOf(wanted) !== -1 || wanted.indexOf(name) !== -1) {
+                distance = Math.min(distance, 1);
+            }
+            return { name: object["name__v"], distance: distance };
+        })
+        .filter(match => match.distance <= Math.max(2, Math.floor(wanted.length / 3)))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit || 3)
+        .map(match => match.name);
+};
+
+/**
+ * Resolve values (IDs or names) of one object type to object IDs.
+ *
+ * @return (promise-wrapped) object
+ * {
+ *   resolved: { value: id, ... },
+ *   unknown: [{ value: string, suggestions: [names] }, ...]
+ * }
+ */
+var resolve = function(vault, host, objectType, values) {
+    var lookup = objects => {
+        var result = { resolved: {}, unknown: [] };
+        values.forEach(value => {
+            var object = findObject(objects, value);
+            if (object) {
+                result.resolved[value] = object.id;
+            } else {
+                result.unknown.push({ value: value, suggestions: suggest(objects, value) });
+            }
+        });
+        return result;
+    };
+
+    var cached = vaultCache.read(host, objectType, MAX_AGE);
+    var result = cached && lookup(cached);
+    if (result && result.unknown.length === 0) {
+        return Promise.resolve(result);
+    }
+    return getObjects(vault, host, objectType, true).then(lookup);
+};
+
+module.exports = {
+    getObjects: getObjects,
+    findObject: findObject,
+    suggest: suggest,
+    resolve: resolve
+};
@@ -0,0 +1,179 @@
+/**
+ * Check document metadata against the field definitions of a vault's document
+ * types: required fields, picklist values, field types and maximum lengths.
+ * Client vaults add their own (often required) `__c` fields and picklist
+ * values, so these can't be part of our fixed schemas.
+ *
+ * Definitions are cached per vault host whenever they are fetched, so
+ * `validate` can check against them without connecting to Vault.
+ */
+
+const vaultCache = require("./vaultCache");
+
+// Checked on their own: the type is how we find the definition, and the
+// lifecycle is one of the type's lifecycles rather than a field value.
+var SPECIAL_FIELDS = ["type__v", "lifecycle__v"];
+
+var cacheName = function(typeLabel) {
+    return "document-type-" + String(typeLabel).replace(/[^\w.-]+/g, "_");
+};
+
+/**
+ * Turn Vault's type metadata into what we check against (and cache).
+ *
+ * @return object
+ * {
+ *   label: string type label
+ *   exists: boolean, false if the vault has no such type
+ *   lifecycles: [labels]
+ *   fields: {
+ *     name: { type, required, settable, repeating, maxLength, values }
+ *   }
+ * }
+ */
+var toDefinition = function(label, metadata) {
+    if (!metadata) {
+        return { label: label, exists: false, lifecycles: [], fields: {} };
+    }
+
+    var fields = {};
+    (metadata.properties || []).forEach(property => {
+        fields[property.name] = {
+            type: property.type,
+            required: Boolean(property.required),
+            settable: Boolean((property.editable || property.setOnCreateOnly) && !property.systemAttribute
+                && !property.disabled),
+            repeating: Boolean(property.repeating),
+            maxLength: property.maxLength || null,
+            values: property.entryLabels || null
+        };
+    });
+
+    return {
+        label: label,
+        exists: true,
+        lifecycles: (metadata.availableLifecycles || []).map(lifecycle => lifecycle.label),
+        fields: fields
+    };
+};
+
+/**
+ * Fetch the definitions of document types from the vault, and cache them.
+ *
+ * @param object vault - authenticated vault client
+ * @param string host - vault host, used as the cache key
+ * @param array typeLabels - e.g. ["Email Template", "Email Fragment"]
+ *
+ * @return (promise-wrapped) { label: definition, ... }, see toDefinition()
+ */
+var fetchDefinitions = function(vault, host, typeLabels) {
+    return vault.getDocumentTypes().then(types => typeLabels.reduce((previous, label) => previous.then(definitions => {
+        var type = types.find(candidate => candidate.label === label || candidate.name === label);
+        var metadata = type ? vault.getDocumentType(type.name) : Promise.resolve(null);
+
+        return metadata.then(result => {
+            definitions[label] = toDefinition(label, result);
+            vaultCache.write(host, cacheName(label), definitions[label]);
+            return definitions;
+        });
+    }), Promise.resolve({})));
+};
+
+/**
+ * Read cached definitions, of any age.
+ *
+ * @return object { label: definition, ... } for the types that are cached
+ */
+var readDefinitions = function(host, typeLabels) {
+    var definitions = {};
+    typeLabels.forEach(label => {
+        var cached = vaultCache.read(host, cacheName(label));
+        if (cached) {
+            definitions[label] = cached;
+        }
+    });
+    return definitions;
+};
+
+// Whether a value fits the field's type. Data files hold strings, so numbers
+// and booleans may come as text.
+var TYPE_CHECKS = {
+    "Number": value => /^-?\d+(\.\d+)?$/.test(String(value)),
+    "Boolean": value => ["true", "false"].indexOf(String(value)) !== -1,
+    "Date": value => /^\d{4}-\d{2}-\d{2}$/.test(String(value)),
+    "DateTime": value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(String(value))
+};
+
+var TYPE_DESCRIPTIONS = {
+    "Number": "a number",
+    "Boolean": "true or false",
+    "Date": "a date like 2019-04-01",
+    "DateTime": "a date and time like 2019-04-01T09:30:00Z"
+};
+
+/**
+ * Check the metadata of one document against its type's definition. Only
+ * `__v` and `__c` keys are fields; everything else is ours.
+ *
+ * @param object definition - see toDefinition()
+ * @param object documentData
+ *
+ * @return array of { field, message }
+ */
+var checkDocument = function(definition, documentData) {
+    var problems = [];
+    var add = (field, message) => problems.push({ field: field, message: message });
+    var isEmpty = value => value === undefined || value === null || value === "";
+
+    if (!definition.exists) {
+        add("type__v", "\"" + definition.label + "\" is not a document type in this vault");
+        return problems;
+    }
+
+    var lifecycle = documentData["lifecycle__v"];
+    if (definition.lifecycles.length && definition.lifecycles.indexOf(lifecycle) === -1) {
+        add("lifecycle__v", "\"" + lifecycle + "\" is not a lifecycle of " + definition.label
+            + " documents in this vault (available: " + definition.lifecycles.join(", ") + ")");
+    }
+
+    Object.keys(definition.fields)
+        .filter(name => SPECIAL_FIELDS.indexOf(name) === -1)
+        .filter(name => definition.fields[name].required && definition.fields[name].settable)
+        .filter(name => isEmpty(documentData[name]))
+        .forEach(name => add(name, "is required for " + definition.label + " documents in this vault"));
+
+    Object.keys(documentData)
+        .filter(name => /__[vc]$/.test(name) && SPECIAL_FIELDS.indexOf(name) === -1)
+        .filter(name => !isEmpty(documentData[name]))
+        .forEach(name => {
+            var field = definition.fields[name];
+            var value = documentData[name];
+
+            if (!field) {
+                return add(name, "is not a field of " + definition.label + " documents in this vault");
+            }
+            if (!field.settable) {
+                return add(name, "is set by Vault and can't be uploaded");
+            }
+            if (TYPE_CHECKS[field.type] && !TYPE_CHECKS[field.type](value)) {
+                return add(name, "must be " + TYPE_DESCRIPTIONS[field.type] + ", not " + JSON.stringify(value));
+            }
+            if (field.type === "Picklist" && field.values) {
+                var chosen = field.repeating ? String(value).split(",").map(entry => entry.trim()) : [String(value)];
+                chosen
+                    .filter(entry => field.values.indexOf(entry) === -1)
+                    .forEach(entry => add(name, "\"" + entry + "\" is not one of " + field.values.join(", ")));
+            }
+            if (field.type === "String" && field.maxLength && String(value).length > field.maxLength) {
+                add(name, "is " + String(value).length + " characters long, the limit is " + field.maxLength);
+            }
+        });
+
+    return problems;
+};
+
+module.exports = {
+    fetchDefinitions: fetchDefinitions,
+    readDefinitions: readDefinitions,
+    checkDocument: checkDocument
+};
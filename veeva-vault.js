@@ -6,825 +6,1681 @@
  * - This will store the session ID for use in all later API calls
  * - Note that all methods return a Promise
  *
+ * The module itself is a client for one vault. To work with several vaults
+ * (or users) at once, create a client for each:
+ *
+ *   const source = vault.createClient(sourceCredentials);
+ *   const target = vault.createClient(targetCredentials, { verbose: true });
+ *   source.authenticate().then(...)
+ *
+ * Clients share nothing: every one has its own session and settings.
+ *
  * Any API request that is unsuccessful will throw an error.
  *
+ * Requests that fail for a passing reason (network trouble, server errors,
+ * Vault's API rate limits) are retried with an increasing delay, as long as
+ * repeating them can't do something twice, and an expired session is renewed
+ * with the credentials given to authenticate().
+ * See configure() for the settings.
+ *
  * History:
  * v0.1.0 (2019-03-15)
  * - initial development, based on smartrep-vault-upload.js
+ * v0.2.0 (2026-10-18)
+ * - retry transient failures of requests that are safe to repeat,
+ *   re-authenticate expired sessions
+ * v0.3.0 (2026-10-18)
+ * - VQL queries with automatic paging
+ * - document lifecycle actions
+ * - document versions and file downloads
+ * - relationships of any type
+ * v0.4.0 (2026-10-18)
+ * - createClient() for several independent clients (e.g. one per vault)
+ * - document type metadata
+ * - normalizeHost()
  */
 
 // Include our library dependencies.
 const extend = require("extend");
+const fs = require("fs");
 const q = require("q");
+const request = require("request");
 const rp = require("request-promise");
 
+// HTTP status codes and network errors worth another try. A request that
+// fails with one of them may still have been carried out, so only requests
+// that are safe to repeat are retried (see _isRetryable()).
+const TRANSIENT_STATUS_CODES = [429, 500, 502, 503, 504];
+const TRANSIENT_ERROR_CODES = [
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ESOCKETTIMEDOUT",
+  "ECONNREFUSED",
+  "EAI_AGAIN",
+  "EPIPE"
+];
+
+// Failures that mean Vault didn't carry out the request: the connection was
+// never made, or the request was turned away by the rate limit. Any request
+// may be retried after these.
+const NOT_SENT_STATUS_CODES = [429];
+const NOT_SENT_ERROR_CODES = ["ECONNREFUSED", "EAI_AGAIN"];
+
+// Methods that don't change anything in the vault.
+const SAFE_METHODS = ["GET", "HEAD"];
+
+// Vault error types (in a FAILURE response) that we know how to handle.
+const SESSION_ERROR_TYPES = ["INVALID_SESSION_ID"];
+const RATE_LIMIT_ERROR_TYPES = ["API_LIMIT_EXCEEDED"];
+
 /**
- * Record the current authenticated Vault session for API requests.
- * - id = (string) authenticated session id
- * - host = (string) domain to make REST API calls to
- *     e.g. https://agency.veevavault.com/api/v13.0/
+ * Normalize a vault host the way authenticate() does: without trailing
+ * whitespace and ending in a slash, since all API requests append to it.
+ * Use it wherever the host serves as a key (e.g. for a cache).
+ *
+ * @param string host - e.g. "https://vv.veevavault.com/api/v13.0"
+ *
+ * @return string e.g. "https://vv.veevavault.com/api/v13.0/"
  */
-var session = {
-  id: null,
-  host: null
-};
-
-var config = {
-  verbose: false
+const normalizeHost = function(host) {
+  host = String(host).replace(/[\s]{1,}$/, "");
+  return host + (host[host.length - 1] == "/" ? "" : "/");
 };
 
 /**
- * Authenticate a user to the Vault API and get a session ID.
+ * Create a Vault client. Every client has its own session, settings and HTTP
+ * options, so one process can work with several vaults (or users) at once.
  *
- * The host string should end with a trailing slash. (One will be added
- * automatically if it doesn't end with one.)
+ * @param object credentials - (optional) see authenticate(); they are used
+ *   when authenticate() is called without any
+ * @param object options - (optional) settings, see configure()
  *
- * @param object credentials
- * {
- *   host: string api url e.g., "https://vv.veevavault.com/api/v13.0/"
- *   username: string
- *   password: string
- * }
+ * @return object client with the API methods (see the end of this function)
  */
-var authenticate = function(credentials) {
-  // Ensure the given host name ends in a slash. All API requests we make will
-  // append to the host name and assume it ends in a slash.
-  credentials.host = credentials.host.replace(/[\s]{1,}$/, "");
-  credentials.host +=
-    credentials.host[credentials.host.length - 1] == "/" ? "" : "/";
-
-  var payload = extend(_payloadTemplate(), payload, {
-    uri: credentials.host + "auth",
-    method: "POST",
-    headers: {},
-    form: {
-      username: credentials.username,
-      password: credentials.password
+const createClient = function(credentials, options) {
+  /**
+   * Record the current authenticated Vault session for API requests.
+   * - id = (string) authenticated session id
+   * - host = (string) domain to make REST API calls to
+   *     e.g. https://agency.veevavault.com/api/v13.0/
+   * - credentials = (object) what we authenticated with, to renew the session
+   */
+  var session = {
+    id: null,
+    host: null,
+    credentials: credentials ? extend({}, credentials) : null
+  };
+
+  /**
+   * Module settings.
+   * - verbose = (boolean) output the status of every API call
+   * - retries = (int) how often a failed request is tried again
+   * - retryDelay = (int) milliseconds before the first retry; doubled for
+   *     every retry after that
+   * - maxRetryDelay = (int) upper limit for the delay between retries
+   * - http = (object) extra options for every HTTP request, see the request
+   *     module, e.g. { proxy: "http://proxy:8080", timeout: 60000 }
+   */
+  var config = {
+    verbose: false,
+    retries: 3,
+    retryDelay: 1000,
+    maxRetryDelay: 30000,
+    http: {}
+  };
+
+  /**
+   * Authenticate a user to the Vault API and get a session ID.
+   *
+   * The host string should end with a trailing slash. (One will be added
+   * automatically if it doesn't end with one.)
+   *
+   * @param object credentials - (optional if the client was created with
+   *   credentials)
+   * {
+   *   host: string api url e.g., "https://vv.veevavault.com/api/v13.0/"
+   *   username: string
+   *   password: string
+   * }
+   */
+  var authenticate = function(credentials) {
+    if (!credentials && !session.credentials) {
+      return q.reject(new Error("vault.authenticate: no credentials given"));
     }
-  });
+    credentials = credentials || session.credentials;
+
+    // Ensure the given host name ends in a slash. All API requests we make will
+    // append to the host name and assume it ends in a slash.
+    credentials.host = normalizeHost(credentials.host);
+
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: credentials.host + "auth",
+      method: "POST",
+      headers: extend({}, config.http.headers),
+      form: {
+        username: credentials.username,
+        password: credentials.password
+      }
+    });
 
-  return rp(payload).then(function(result) {
-    _handleError("authenticate", result);
+    return _request(payload).then(function(result) {
+      _handleError("authenticate", result);
 
-    session.host = credentials.host;
-    session.id = result.sessionId;
-  });
-};
+      session.host = credentials.host;
+      session.id = result.sessionId;
+      session.credentials = extend({}, credentials);
+    });
+  };
 
-/**
- * Get a list of vault objects of a given type.
- *
- * @param string object_type
- *   The Vault object type. For example:
- *   - product__v
- *   - country__v
- *   - study__v
- *
- * There may be others based on the application and configuration.
- *
- * @return (promise-wrapped) array of objects
- * [
- *   {
- *     id: "some-value",
- *     name__v: "Object Name 1"
- *   },
- *   { ... }
- * ]
- */
-const getVaultObjects = function(object_type) {
-  var payload = extend(_payloadTemplate(), payload, {
-    uri: session.host + "vobjects/" + object_type
-  });
+  /**
+   * Get a list of vault objects of a given type.
+   *
+   * @param string object_type
+   *   The Vault object type. For example:
+   *   - product__v
+   *   - country__v
+   *   - study__v
+   *
+   * There may be others based on the application and configuration.
+   *
+   * @return (promise-wrapped) array of objects
+   * [
+   *   {
+   *     id: "some-value",
+   *     name__v: "Object Name 1"
+   *   },
+   *   { ... }
+   * ]
+   */
+  const getVaultObjects = function(object_type) {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + "vobjects/" + object_type
+    });
 
-  return rp(payload).then(function(all_objects) {
-    _handleError("getVaultObjects", all_objects, "object_type = " + object_type);
+    return _request(payload).then(function(all_objects) {
+      _handleError(
+        "getVaultObjects",
+        all_objects,
+        "object_type = " + object_type
+      );
 
-    return all_objects.data;
-  });
-};
+      return all_objects.data;
+    });
+  };
 
-/**
- * Get all products defined in our vault.
- *
- * Note: this is just a convenience method for getVaultObjects().
- */
-const getProducts = function() {
-  return getVaultObjects("product__v");
-};
+  /**
+   * Run a Vault Query Language (VQL) query and return all matching records.
+   *
+   * Vault returns large results in pages; all pages are fetched and combined.
+   * For very large results, use queryIterator() instead.
+   *
+   * @param string vql
+   *   e.g. "SELECT id, name__v FROM documents WHERE type__v = 'Email Fragment'"
+   *
+   * @return (promise-wrapped) array of records, with the selected fields
+   * [
+   *   {
+   *     id: 123,
+   *     name__v: "Document Name 1"
+   *   },
+   *   { ... }
+   * ]
+   */
+  const query = function(vql) {
+    var records = [];
+
+    var collect = function(page) {
+      records = records.concat(page.data);
+      if (page.next_page) {
+        return _queryPage(vql, page.next_page).then(collect);
+      }
+      return records;
+    };
 
-/**
- * Get all countries defined in our vault.
- *
- * Note: this is just a convenience method for getVaultObjects().
- */
-const getCountries = function() {
-  return getVaultObjects("country__v");
-};
+    return _queryPage(vql).then(collect);
+  };
 
-/**
- * Get all binders defined in our vault.
- *
- * @return (promise-wrapped) array of binder objects
- *
- * An individual binder object contains the following properties that we care
- * about:
- *   binder = {
- *     document: {
- *       id: int
- *       binder__v: boolean (must be true for binders)
- *       crm_presentation_id__v: = veeva presentation id
- *       name__v: presentation name
- *       title__v: presentation title
- *       status__v: 'Draft'
- *       clm_content__v: true
- *     },
- *     versions: [
- *     ],
- *     binder: {
- *       nodes: [
- *         {
- *           properties: {
- *             document_id__v: int
- *             order__v: int
- *             name__v: string
- *           }
- *         },
- *         { .. }
- *       ],
- *     }
- *   }
- */
-const getBinders = function() {
-  var payload = extend(_payloadTemplate(), payload, {
-    uri: session.host + "objects/documents"
-  });
+  /**
+   * Run a VQL query and go through the records one by one, fetching the next
+   * page only when it is needed.
+   *
+   * Usage:
+   *   for await (const record of vault.queryIterator(vql)) { ... }
+   *
+   * @param string vql
+   *
+   * @return async iterable of records (see query())
+   */
+  const queryIterator = async function*(vql) {
+    var page = await _queryPage(vql);
+
+    while (true) {
+      yield* page.data;
+
+      if (!page.next_page) {
+        return;
+      }
+      page = await _queryPage(vql, page.next_page);
+    }
+  };
 
-  return rp(payload).then(function(result) {
-    _handleError("getBinders", result);
+  /**
+   * Fetch one page of query results.
+   *
+   * @param string vql - the query, used for the first page and error messages
+   * @param string next_page - (optional) the next_page path Vault gave us with
+   *   the previous page, e.g. "/api/v13.0/query/0PS...?pagesize=1000&pageoffset=0"
+   *
+   * @return (promise-wrapped) object
+   * {
+   *   data: array of records
+   *   next_page: string path of the next page, or undefined on the last page
+   * }
+   */
+  const _queryPage = function(vql, next_page) {
+    var request = next_page
+      ? { uri: new URL(next_page, session.host).href }
+      : { uri: session.host + "query", method: "POST", form: { q: vql } };
+    var payload = extend(_payloadTemplate(), payload, request);
+
+    return _request(payload).then(function(result) {
+      _handleError("query", result, "q = " + vql);
+
+      return {
+        data: result.data || [],
+        next_page: result.responseDetails && result.responseDetails.next_page
+      };
+    });
+  };
 
-    var binders = [];
+  /**
+   * Quote a string for use as a literal in a VQL query.
+   *
+   * e.g. quoteVQL("Max's email") returns 'Max\'s email' (with the quotes)
+   */
+  const quoteVQL = function(value) {
+    return (
+      "'" +
+      String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/'/g, "\\'") +
+      "'"
+    );
+  };
+
+  /**
+   * Get all products defined in our vault.
+   *
+   * Note: this is just a convenience method for getVaultObjects().
+   */
+  const getProducts = function() {
+    return getVaultObjects("product__v");
+  };
+
+  /**
+   * Get all countries defined in our vault.
+   *
+   * Note: this is just a convenience method for getVaultObjects().
+   */
+  const getCountries = function() {
+    return getVaultObjects("country__v");
+  };
+
+  /**
+   * Get all binders defined in our vault.
+   *
+   * @return (promise-wrapped) array of binder objects
+   *
+   * An individual binder object contains the following properties that we care
+   * about:
+   *   binder = {
+   *     document: {
+   *       id: int
+   *       binder__v: boolean (must be true for binders)
+   *       crm_presentation_id__v: = veeva presentation id
+   *       name__v: presentation name
+   *       title__v: presentation title
+   *       status__v: 'Draft'
+   *       clm_content__v: true
+   *     },
+   *     versions: [
+   *     ],
+   *     binder: {
+   *       nodes: [
+   *         {
+   *           properties: {
+   *             document_id__v: int
+   *             order__v: int
+   *             name__v: string
+   *           }
+   *         },
+   *         { .. }
+   *       ],
+   *     }
+   *   }
+   */
+  const getBinders = function() {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + "objects/documents"
+    });
+
+    return _request(payload).then(function(result) {
+      _handleError("getBinders", result);
+
+      var binders = [];
 
-    for (var i = 0; i < result.documents.length; i++) {
-      var document = result.documents[i].document;
+      for (var i = 0; i < result.documents.length; i++) {
+        var document = result.documents[i].document;
 
-      if (document.binder__v == true) {
-        binders.push(document);
+        if (document.binder__v == true) {
+          binders.push(document);
+        }
       }
+
+      return binders;
+    });
+  };
+
+  /**
+   * Get the binder object for the given binder id.
+   *
+   * @return (promise-wrapped) object binder
+   *   see getBinders() for a binder object example
+   */
+  const getBinder = function(binder_id) {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + "objects/binders/" + binder_id
+    });
+
+    return _request(payload).then(function(result) {
+      _handleError("getBinder", result, "binder_id = " + binder_id);
+
+      return result;
+    });
+  };
+
+  /**
+   * Get the node ids and document ids for all documents in the given binder.
+   *
+   * @return (promise-wrapped) array of objects
+   * [
+   *   {
+   *     node_id: specific node id for this document reference
+   *     document_id: document id of the object in this binder
+   *   },
+   *   { ... }
+   * ]
+   */
+  const getBinderDocuments = function(binder_id) {
+    return getBinder(binder_id).then(function(binder) {
+      var documents = [];
+
+      // Assemble a list of all documents assigned to this binder. We'll need the
+      // node id if we want to remove a document from the binder.
+      Array.prototype.forEach.call(binder.binder.nodes, function(node) {
+        documents.push({
+          node_id: node.properties.id,
+          document_id: node.properties.document_id__v
+        });
+      });
+
+      return documents;
+    });
+  };
+
+  /**
+   * Remove the specified documents from the given binder.
+   *
+   * When complete, the documents referenced in 'documents' will no longer be
+   * associated with the binder. Documents are not actually deleted.
+   *
+   * @param int binder_id - the binder we're changing document associations for
+   * @param array documents - array of document objects, e.g.
+   * [
+   *   {
+   *     node_id: specific node id for this document reference
+   *     document_id: document id of the object in this binder
+   *   },
+   *   { ... }
+   * ]
+   *
+   *   OR
+   *
+   * @param array documents = array of document node_ids
+   */
+  const removeBinderDocuments = function(binder_id, documents) {
+    if (documents.length == 0) {
+      return new q();
     }
 
-    return binders;
-  });
-};
+    // Recursively keep taking the first document object off the stack.
+    var node_id = documents[0];
 
-/**
- * Get the binder object for the given binder id.
- *
- * @return (promise-wrapped) object binder
- *   see getBinders() for a binder object example
- */
-const getBinder = function(binder_id) {
-  var payload = extend(_payloadTemplate(), payload, {
-    uri: session.host + "objects/binders/" + binder_id
-  });
+    // Normalize the variable to account for whether we received an individual
+    // node_id string, or an object containing the node_id and document_id.
+    if (typeof node_id === "object") {
+      node_id = node_id.node_id;
+    }
+    documents = documents.slice(1);
 
-  return rp(payload).then(function(result) {
-    _handleError("getBinder", result, "binder_id = " + binder_id);
+    var payload = extend(_payloadTemplate(), payload, {
+      uri:
+        session.host + "objects/binders/" + binder_id + "/documents/" + node_id,
+      method: "DELETE"
+    });
 
-    return result;
-  });
-};
+    return _request(payload).then(function(result) {
+      _handleError(
+        "removeBinderDocuments",
+        result,
+        "binder_id = " + binder_id + ", node_id = " + node_id
+      );
 
-/**
- * Get the node ids and document ids for all documents in the given binder.
- *
- * @return (promise-wrapped) array of objects
- * [
- *   {
- *     node_id: specific node id for this document reference
- *     document_id: document id of the object in this binder
- *   },
- *   { ... }
- * ]
- */
-const getBinderDocuments = function(binder_id) {
-  return getBinder(binder_id).then(function(binder) {
-    var documents = [];
-
-    // Assemble a list of all documents assigned to this binder. We'll need the
-    // node id if we want to remove a document from the binder.
-    Array.prototype.forEach.call(binder.binder.nodes, function(node) {
-      documents.push({
-        node_id: node.properties.id,
-        document_id: node.properties.document_id__v
+      return removeBinderDocuments(binder_id, documents);
+    });
+  };
+
+  /**
+   * Associate the given documents with the given binder. Documents will be
+   * ordered in the order they are found in document_ids.
+   *
+   * @param int binder_id - the binder we're changing document associations for
+   * @param array document_ids - array of document ids to put in this binder
+   * (@param int index - used internally to keep track of sort order)
+   */
+  const setBinderDocuments = function(binder_id, document_ids, index) {
+    if (document_ids.length == 0) {
+      return new q();
+    }
+
+    if (typeof index !== "number") {
+      index = 1;
+    }
+
+    // Recursively keep taking the first document id off the stack.
+    var document_id = document_ids[0];
+    document_ids = document_ids.slice(1);
+
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + "objects/binders/" + binder_id + "/documents",
+      method: "POST",
+      form: {
+        document_id__v: document_id,
+        order__v: index
+      }
+    });
+
+    return _request(payload).then(function(result) {
+      _handleError(
+        "setBinderDocuments",
+        result,
+        "binder_id = " +
+          binder_id +
+          ", document_id = " +
+          document_id +
+          ", index = " +
+          index
+      );
+
+      index++;
+      return setBinderDocuments(binder_id, document_ids, index);
+    });
+  };
+
+  /**
+   * Create a new binder in Vault.
+   *
+   * @param object binder_data
+   *
+   * Expect the binder object to be something like this:
+   * {
+   *   name__v: "your presentation description",
+   *   title__v: "your presentation title",
+   *   type__v: "Multichannel Presentation",
+   *   lifecycle__v: "Binder Lifecycle",
+   *   clm_content__v: true,
+   *   crm_media_type__v: "HTML",
+   *   status__v: "Draft",
+   *   country__v: "unitedStates", (the country id)
+   *   language__v: (unknown if this is used)
+   *   country_tpi__c: (unknown if this is used)
+   *   product__v: "product id string",
+   *   major_version_number__v: "0",
+   *   minor_version_number__v: "1",
+   *   crm_presentation_id__v: "your_presentation_id",
+   *   production__c: (unknown if this is used, or what for)
+   * }
+   *
+   * @return binder object (identical to that from getBinder() method)
+   */
+  const createBinder = function(binder_data) {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + "objects/binders",
+      method: "POST",
+      form: binder_data
+    });
+
+    return _request(payload).then(function(result) {
+      _handleError(
+        "createBinder",
+        result,
+        "binder_data.title__v = " + binder_data.title__v
+      );
+
+      return getBinder(result.id);
+    });
+  };
+
+  /**
+   * Update an existing binder object in Vault.
+   *
+   * @param int binder_id - existing vault object id to update
+   * @param object binder_data - new binder form data to submit
+   */
+  const updateBinder = function(binder_id, binder_data) {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + "objects/binders/" + binder_id,
+      method: "PUT",
+      form: binder_data
+    });
+
+    return _request(payload).then(function(result) {
+      _handleError(
+        "updateBinder",
+        result,
+        "binder_id = " +
+          binder_id +
+          ", binder_data.name__v = " +
+          binder_data.name__v
+      );
+    });
+  };
+
+  /**
+   * Delete an existing binder from Vault.
+   *
+   * @param int binder_id - existing vault object id to delete
+   */
+  const deleteBinder = function(binder_id) {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + "objects/binders/" + binder_id,
+      method: "DELETE"
+    });
+
+    return _request(payload).then(function(result) {
+      _handleError("deleteBinder", result, "binder_id = " + binder_id);
+    });
+  };
+
+  /**
+   * Create a new document in Vault.
+   *
+   * Note that we must use 'formData' and not 'form' in order to successfully
+   * upload the zip file for this document.
+   *
+   * @param object document_data
+   *   Field values for the new vault document to create
+   *
+   * @return Vault ID of the created document
+   */
+  const createDocument = function(document_data) {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + "objects/documents",
+      method: "POST",
+      formData: document_data
+    });
+
+    return _request(payload).then(function(result) {
+      _handleError(
+        "createDocument",
+        result,
+        "document.name__v = " + document_data.name__v
+      );
+
+      return result.id;
+    });
+  };
+
+  /**
+   * Update a Vault document.
+   *
+   * Updating a document is done in 3 steps:
+   * - lock the document
+   * - update it
+   * - unlock it
+   *
+   * @param int document_id
+   *   id of the vault document we're updating
+   * @param object document_data
+   *   fields (and values) to update for the existing document
+   *
+   * @return int document_id that was updated
+   */
+  const updateDocument = function(document_id, document_data) {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + "objects/documents/" + document_id,
+      method: "PUT",
+      form: document_data
+    });
+
+    return _request(payload).then(function(result) {
+      _handleError(
+        "updateDocument",
+        result,
+        "document.id = " +
+          document_id +
+          ", document_data.name__v = " +
+          document_data.name__v
+      );
+
+      return result.id;
+    });
+  };
+
+  /**
+   * Update the file content associated with a Vault document.
+   *
+   * Note that we're using 'formData' rather than 'form' here. We also require
+   * the 'type: "update"' property.
+   *
+   * @param int document_id - Vault document id we're updating
+   * @param object document_file (ReadStream from node's file-system createReadStream)
+   */
+  const updateDocumentFile = function(document_id, document_file) {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + "objects/documents/" + document_id,
+      type: "update",
+      method: "POST",
+      formData: {
+        file: document_file
+      }
+    });
+
+    // Lock the document, update it, then unlock it.
+    // Note: This fails if we call it just after we've created a document.
+    return lockDocument(document_id).then(function() {
+      return _request(payload).then(function(result) {
+        _handleError(
+          "updateDocumentFile",
+          result,
+          "document.id = " + document_id
+        );
+        return unlockDocument(document_id);
       });
     });
+  };
 
-    return documents;
-  });
-};
+  /**
+   * Relate a Vault document to another Vault document. By default, the target
+   * becomes a shared resource of the document.
+   *
+   * @param object document
+   * {
+   *   id: int id of the vault document we're updating
+   *   version_major: int major version number of the document we're updating
+   *   version_minor: int minor version number of the document we're updating
+   * }
+   * @param int shared_document_id - id of the shared document to associate with this one
+   * @param string relationship_type - relationship type name
+   *   (default: related_shared_resource__v)
+   *
+   * @return int id of the created relationship
+   */
+  const createDocumentRelationship = function(
+    document,
+    shared_document_id,
+    relationship_type
+  ) {
+    var path = _getRelationshipsPath(document);
+    var payload = extend(_payloadTemplate(), payload, {
+      url: session.host + path,
+      method: "POST",
+      form: {
+        relationship_type__v: relationship_type || "related_shared_resource__v",
+        target_doc_id__v: shared_document_id
+      }
+    });
 
-/**
- * Remove the specified documents from the given binder.
- *
- * When complete, the documents referenced in 'documents' will no longer be
- * associated with the binder. Documents are not actually deleted.
- *
- * @param int binder_id - the binder we're changing document associations for
- * @param array documents - array of document objects, e.g.
- * [
- *   {
- *     node_id: specific node id for this document reference
- *     document_id: document id of the object in this binder
- *   },
- *   { ... }
- * ]
- *
- *   OR
- *
- * @param array documents = array of document node_ids
- */
-const removeBinderDocuments = function(binder_id, documents) {
-  if (documents.length == 0) {
-    return new q();
-  }
+    return _request(payload).then(function(result) {
+      _handleError(
+        "createDocumentRelationship",
+        result,
+        "document_id = " +
+          document.id +
+          ", shared_document_id = " +
+          shared_document_id
+      );
 
-  // Recursively keep taking the first document object off the stack.
-  var node_id = documents[0];
+      return result.id;
+    });
+  };
 
-  // Normalize the variable to account for whether we received an individual
-  // node_id string, or an object containing the node_id and document_id.
-  if (typeof node_id === "object") {
-    node_id = node_id.node_id;
-  }
-  documents = documents.slice(1);
-
-  var payload = extend(_payloadTemplate(), payload, {
-    uri:
-      session.host + "objects/binders/" + binder_id + "/documents/" + node_id,
-    method: "DELETE"
-  });
-
-  return rp(payload).then(function(result) {
-    _handleError(
-      "removeBinderDocuments",
-      result,
-      "binder_id = " + binder_id + ", node_id = " + node_id
-    );
+  /**
+   * Get the shared content relationships for a given Vault document.
+   *
+   * @param object document
+   * {
+   *   id: int id of the vault document we're getting content relationships for
+   *   version_major: int major version number of the document we're updating
+   *   version_minor: int minor version number of the document we're updating
+   * }
+   *
+   * @return array of relationship objects e.g.
+   * [
+   *   {
+   *     relationship: {
+   *       id: relationship_id for this relationship
+   *       source_doc_id__v: Vault ID of the document we're getting relationships for
+   *       target_doc_id__v: Vault ID of the document to share
+   *     }
+   *   },
+   *   { ... }
+   * ]
+   */
+  const getDocumentRelationships = function(document) {
+    var path = _getRelationshipsPath(document);
+    var payload = extend(_payloadTemplate(), payload, {
+      url: session.host + path
+    });
 
-    return removeBinderDocuments(binder_id, documents);
-  });
-};
+    return _request(payload).then(function(result) {
+      _handleError(
+        "getDocumentRelationships",
+        result,
+        "document_id = " +
+          document.id +
+          ", version_major = " +
+          document.version_major +
+          ", version_minor = " +
+          document.version_minor
+      );
 
-/**
- * Associate the given documents with the given binder. Documents will be
- * ordered in the order they are found in document_ids.
- *
- * @param int binder_id - the binder we're changing document associations for
- * @param array document_ids - array of document ids to put in this binder
- * (@param int index - used internally to keep track of sort order)
- */
-const setBinderDocuments = function(binder_id, document_ids, index) {
-  if (document_ids.length == 0) {
-    return new q();
-  }
+      return result.relationships;
+    });
+  };
 
-  if (typeof index !== "number") {
-    index = 1;
-  }
+  /**
+   * Remove a shared document relationship from a Vault document.
+   *
+   * @param object document
+   * {
+   *   id: int id of the vault document we're updating
+   *   version_major: int major version number of the document we're updating
+   *   version_minor: int minor version number of the document we're updating
+   * }
+   * @param int relationship_id - id of the shared document relationship to remove
+   */
+  const removeDocumentRelationship = function(document, relationship_id) {
+    var path = _getRelationshipsPath(document);
+    var payload = extend(_payloadTemplate(), payload, {
+      url: session.host + path + "/" + relationship_id,
+      method: "DELETE"
+    });
 
-  // Recursively keep taking the first document id off the stack.
-  var document_id = document_ids[0];
-  document_ids = document_ids.slice(1);
+    return _request(payload).then(function(result) {
+      _handleError(
+        "removeDocumentRelationship",
+        result,
+        "document_id = " +
+          document.id +
+          ", version_major = " +
+          document.version_major +
+          ", version_minor = " +
+          document.version_minor +
+          ", relationship_id = " +
+          relationship_id
+      );
+    });
+  };
 
-  var payload = extend(_payloadTemplate(), payload, {
-    uri: session.host + "objects/binders/" + binder_id + "/documents",
-    method: "POST",
-    form: {
-      document_id__v: document_id,
-      order__v: index
-    }
-  });
-
-  return rp(payload).then(function(result) {
-    _handleError(
-      "setBinderDocuments",
-      result,
-      "binder_id = " +
-        binder_id +
-        ", document_id = " +
-        document_id +
-        ", index = " +
-        index
-    );
+  /**
+   * Get the lifecycle actions the current user can run on a document version.
+   *
+   * @param object document
+   * {
+   *   id: int id of the vault document
+   *   version_major: int major version number of the document
+   *   version_minor: int minor version number of the document
+   * }
+   *
+   * @return (promise-wrapped) array of action objects e.g.
+   * [
+   *   {
+   *     name__v: "submit_for_review__c" (use this to run the action)
+   *     label__v: "Submit for Review"
+   *     lifecycle_action_type__v: "stateChange" or "workflow"
+   *     lifecycle__v: "approved_email__v"
+   *     state__v: the state the document is in now
+   *   },
+   *   { ... }
+   * ]
+   */
+  const getDocumentActions = function(document) {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + _getVersionPath(document) + "/lifecycle_actions"
+    });
 
-    index++;
-    return setBinderDocuments(binder_id, document_ids, index);
-  });
-};
+    return _request(payload).then(function(result) {
+      _handleError(
+        "getDocumentActions",
+        result,
+        "document_id = " +
+          document.id +
+          ", version_major = " +
+          document.version_major +
+          ", version_minor = " +
+          document.version_minor
+      );
 
-/**
- * Create a new binder in Vault.
- *
- * @param object binder_data
- *
- * Expect the binder object to be something like this:
- * {
- *   name__v: "your presentation description",
- *   title__v: "your presentation title",
- *   type__v: "Multichannel Presentation",
- *   lifecycle__v: "Binder Lifecycle",
- *   clm_content__v: true,
- *   crm_media_type__v: "HTML",
- *   status__v: "Draft",
- *   country__v: "unitedStates", (the country id)
- *   language__v: (unknown if this is used)
- *   country_tpi__c: (unknown if this is used)
- *   product__v: "product id string",
- *   major_version_number__v: "0",
- *   minor_version_number__v: "1",
- *   crm_presentation_id__v: "your_presentation_id",
- *   production__c: (unknown if this is used, or what for)
- * }
- *
- * @return binder object (identical to that from getBinder() method)
- */
-const createBinder = function(binder_data) {
-  var payload = extend(_payloadTemplate(), payload, {
-    uri: session.host + "objects/binders",
-    method: "POST",
-    form: binder_data
-  });
-
-  return rp(payload).then(function(result) {
-    _handleError(
-      "createBinder",
-      result,
-      "binder_data.title__v = " + binder_data.title__v
-    );
+      return result.lifecycle_actions__v || [];
+    });
+  };
 
-    return vault.getBinder(result.id);
-  });
-};
+  /**
+   * Run a lifecycle action (e.g. a state change) on a document version.
+   *
+   * @param object document - see getDocumentActions()
+   * @param string action_name - name__v of the action, as returned by
+   *   getDocumentActions()
+   */
+  const runDocumentAction = function(document, action_name) {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri:
+        session.host +
+        _getVersionPath(document) +
+        "/lifecycle_actions/" +
+        encodeURIComponent(action_name),
+      method: "PUT"
+    });
 
-/**
- * Update an existing binder object in Vault.
- *
- * @param int binder_id - existing vault object id to update
- * @param object binder_data - new binder form data to submit
- */
-const updateBinder = function(binder_id, binder_data) {
-  var payload = extend(_payloadTemplate(), payload, {
-    uri: session.host + "objects/binders/" + binder_id,
-    method: "PUT",
-    form: binder_data
-  });
-
-  return rp(payload).then(function(result) {
-    _handleError(
-      "updateBinder",
-      result,
-      "binder_id = " +
-        binder_id +
-        ", binder_data.name__v = " +
-        binder_data.name__v
-    );
-  });
-};
+    return _request(payload).then(function(result) {
+      _handleError(
+        "runDocumentAction",
+        result,
+        "document_id = " + document.id + ", action_name = " + action_name
+      );
+    });
+  };
 
-/**
- * Delete an existing binder from Vault.
- *
- * @param int binder_id - existing vault object id to delete
- */
-const deleteBinder = function(binder_id) {
-  var payload = extend(_payloadTemplate(), payload, {
-    uri: session.host + "objects/binders/" + binder_id,
-    method: "DELETE"
-  });
-
-  return rp(payload).then(function(result) {
-    _handleError("deleteBinder", result, "binder_id = " + binder_id);
-  });
-};
+  /**
+   * Construct the path to a document version.
+   *
+   * @param object document e.g.:
+   * {
+   *   id: int id of the vault document
+   *   version_major: int major version number of the document
+   *   version_minor: int minor version number of the document
+   * }
+   *
+   * @return string e.g. "objects/documents/123/versions/0/15"
+   */
+  const _getVersionPath = function(document) {
+    var path = [
+      "objects",
+      "documents",
+      document.id,
+      "versions",
+      document.version_major,
+      document.version_minor
+    ];
+
+    return path.join("/");
+  };
 
-/**
- * Create a new document in Vault.
- *
- * Note that we must use 'formData' and not 'form' in order to successfully
- * upload the zip file for this document.
- *
- * @param object document_data
- *   Field values for the new vault document to create
- *
- * @return Vault ID of the created document
- */
-const createDocument = function(document_data) {
-  var payload = extend(_payloadTemplate(), payload, {
-    uri: session.host + "objects/documents",
-    method: "POST",
-    formData: document_data
-  });
-
-  return rp(payload).then(function(result) {
-    _handleError(
-      "createDocument",
-      result,
-      "document.name__v = " + document_data.name__v
-    );
+  /**
+   * Construct the path to a document relationships API call.
+   *
+   * @param object document - see _getVersionPath()
+   *
+   * @return string e.g. "objects/documents/123/versions/0/15/relationships"
+   */
+  const _getRelationshipsPath = function(document) {
+    return _getVersionPath(document) + "/relationships";
+  };
 
-    return result.id;
-  });
-};
+  /**
+   * List the document types of the vault.
+   *
+   * @return (promise-wrapped) array of types
+   * [
+   *   {
+   *     name: "email_template__v" (API name, for getDocumentType())
+   *     label: "Email Template"
+   *     value: "https://.../metadata/objects/documents/types/email_template__v"
+   *   },
+   *   { ... }
+   * ]
+   */
+  const getDocumentTypes = function() {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + "metadata/objects/documents/types"
+    });
 
-/**
- * Update a Vault document.
- *
- * Updating a document is done in 3 steps:
- * - lock the document
- * - update it
- * - unlock it
- *
- * @param int document_id
- *   id of the vault document we're updating
- * @param object document_data
- *   fields (and values) to update for the existing document
- *
- * @return int document_id that was updated
- */
-const updateDocument = function(document_id, document_data) {
-  var payload = extend(_payloadTemplate(), payload, {
-    uri: session.host + "objects/documents/" + document_id,
-    method: "PUT",
-    form: document_data
-  });
-
-  return rp(payload).then(function(result) {
-    _handleError(
-      "updateDocument",
-      result,
-      "document.id = " +
-        document_id +
-        ", document_data.name__v = " +
-        document_data.name__v
-    );
+    return _request(payload).then(function(result) {
+      _handleError("getDocumentTypes", result);
 
-    return result.id;
-  });
-};
+      return (result.types || []).map(function(type) {
+        return extend({ name: type.value.split("/").pop() }, type);
+      });
+    });
+  };
 
-/**
- * Update the file content associated with a Vault document.
- *
- * Note that we're using 'formData' rather than 'form' here. We also require
- * the 'type: "update"' property.
- *
- * @param int document_id - Vault document id we're updating
- * @param object document_file (ReadStream from node's file-system createReadStream)
- */
-const updateDocumentFile = function(document_id, document_file) {
-  var payload = extend(_payloadTemplate(), payload, {
-    uri: session.host + "objects/documents/" + document_id,
-    type: "update",
-    method: "POST",
-    formData: {
-      file: document_file
-    }
-  });
+  /**
+   * Retrieve the metadata of a document type, including the definitions of
+   * its document fields.
+   *
+   * @param string type - API name of the type, see getDocumentTypes()
+   *
+   * @return (promise-wrapped) object
+   * {
+   *   name: "email_template__v",
+   *   label: "Email Template",
+   *   properties: [
+   *     {
+   *       name: "subject__v",
+   *       label: "Subject",
+   *       type: "String" (or "Number", "Boolean", "Date", "Picklist",
+   *         "ObjectReference", ...),
+   *       required: boolean,
+   *       editable: boolean,
+   *       setOnCreateOnly: boolean,
+   *       repeating: boolean,
+   *       maxLength: int (String fields),
+   *       entryLabels: array of allowed values (Picklist fields),
+   *       ...
+   *     },
+   *     { ... }
+   *   ],
+   *   availableLifecycles: [{ name: "approved_email__v", label: "Approved Email" }]
+   * }
+   */
+  const getDocumentType = function(type) {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri:
+        session.host +
+        "metadata/objects/documents/types/" +
+        encodeURIComponent(type)
+    });
 
-  // Lock the document, update it, then unlock it.
-  // Note: This fails if we call it just after we've created a document.
-  return lockDocument(document_id).then(function() {
-    return rp(payload).then(function(result) {
+    return _request(payload).then(function(result) {
+      _handleError("getDocumentType", result, "type = " + type);
+
+      var metadata = extend({}, result);
+      delete metadata.responseStatus;
+      return metadata;
+    });
+  };
+
+  /**
+   * Retrieve a document from Vault.
+   *
+   * @param int document_id
+   *   Vault id of the document to retrieve
+   *
+   * @return object Vault object with Vault keys and values for the found document
+   */
+  const getDocument = function(document_id) {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + "objects/documents/" + document_id,
+      method: "GET"
+    });
+
+    return _request(payload).then(function(result) {
+      _handleError("getDocument", result, "document_id = " + document_id);
+
+      return result.document;
+    });
+  };
+
+  /**
+   * List all versions of a document.
+   *
+   * @param int document_id
+   *
+   * @return (promise-wrapped) array of version objects, oldest first, which can
+   *   be passed to the version-aware methods (getDocumentVersion() etc.)
+   * [
+   *   {
+   *     id: document_id
+   *     version_major: int
+   *     version_minor: int
+   *     number: string e.g. "0.1"
+   *   },
+   *   { ... }
+   * ]
+   */
+  const getDocumentVersions = function(document_id) {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + "objects/documents/" + document_id + "/versions"
+    });
+
+    return _request(payload).then(function(result) {
       _handleError(
-        "updateDocumentFile",
+        "getDocumentVersions",
         result,
-        "document.id = " + document_id
+        "document_id = " + document_id
       );
-      return unlockDocument(document_id);
+
+      return (result.versions || []).map(function(version) {
+        var numbers = String(version.number).split(".");
+        return {
+          id: document_id,
+          version_major: Number(numbers[0]),
+          version_minor: Number(numbers[1]),
+          number: version.number
+        };
+      });
     });
-  });
-};
+  };
 
-/**
- * Make a Vault document a shared resource of another Vault document.
- *
- * @param object document
- * {
- *   id: int id of the vault document we're updating
- *   version_major: int major version number of the document we're updating
- *   version_minor: int minor version number of the document we're updating
- * }
- * @param int shared_document_id - id of the shared document to associate with this one
- */
-const createDocumentRelationship = function(document, shared_document_id) {
-  var path = _getRelationshipsPath(document);
-  var payload = extend(_payloadTemplate(), payload, {
-    url: session.host + path,
-    method: "POST",
-    form: {
-      relationship_type__v: "related_shared_resource__v",
-      target_doc_id__v: shared_document_id
-    }
-  });
+  /**
+   * Retrieve a specific version of a document.
+   *
+   * @param object document
+   * {
+   *   id: int id of the vault document
+   *   version_major: int major version number of the document
+   *   version_minor: int minor version number of the document
+   * }
+   *
+   * @return (promise-wrapped) object with Vault keys and values for that
+   *   version (see getDocument())
+   */
+  const getDocumentVersion = function(document) {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + _getVersionPath(document)
+    });
 
-  return rp(payload).then(function(result) {
-    _handleError(
-      "createDocumentRelationship",
-      result,
-      "document_id = " +
-        document.id +
-        ", shared_document_id = " +
-        shared_document_id
-    );
-  });
-};
+    return _request(payload).then(function(result) {
+      _handleError(
+        "getDocumentVersion",
+        result,
+        "document_id = " +
+          document.id +
+          ", version_major = " +
+          document.version_major +
+          ", version_minor = " +
+          document.version_minor
+      );
 
-/**
- * Get the shared content relationships for a given Vault document.
- *
- * @param object document
- * {
- *   id: int id of the vault document we're getting content relationships for
- *   version_major: int major version number of the document we're updating
- *   version_minor: int minor version number of the document we're updating
- * }
- *
- * @return array of relationship objects e.g.
- * [
- *   {
- *     relationship: {
- *       id: relationship_id for this relationship
- *       source_doc_id__v: Vault ID of the document we're getting relationships for
- *       target_doc_id__v: Vault ID of the document to share
- *     }
- *   },
- *   { ... }
- * ]
- */
-const getDocumentRelationships = function(document) {
-  var path = _getRelationshipsPath(document);
-  var payload = extend(_payloadTemplate(), payload, {
-    url: session.host + path
-  });
-
-  return rp(payload).then(function(result) {
-    _handleError(
-      "getDocumentRelationships",
-      result,
+      return result.document;
+    });
+  };
+
+  /**
+   * Download the source file or a rendition of a document, streamed to disk.
+   *
+   * Like any other request, a download is retried after transient failures
+   * and with a new session once the old one expired (see _request()). A
+   * failed download leaves no file behind.
+   *
+   * @param object document
+   * {
+   *   id: int id of the vault document
+   *   version_major: (optional) int major version number
+   *   version_minor: (optional) int minor version number
+   * }
+   *   Without version numbers, the latest version is downloaded.
+   * @param string destination - path of the file to write
+   * @param string rendition_type - (optional) e.g. "viewable_rendition__v";
+   *   leave out to download the source file
+   *
+   * @return (promise-wrapped) object
+   * {
+   *   path: destination
+   *   filename: file name Vault gave the download (e.g. "email.zip"), if any
+   *   content_type: string
+   * }
+   */
+  const downloadDocumentFile = function(document, destination, rendition_type) {
+    var path =
+      typeof document.version_major !== "undefined"
+        ? _getVersionPath(document)
+        : "objects/documents/" + document.id;
+    path += rendition_type
+      ? "/renditions/" + encodeURIComponent(rendition_type)
+      : "/file";
+
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + path,
+      json: false
+    });
+    var args =
       "document_id = " +
-        document.id +
-        ", version_major = " +
-        document.version_major +
-        ", version_minor = " +
-        document.version_minor
-    );
+      document.id +
+      (rendition_type ? ", rendition_type = " + rendition_type : "");
 
-    return result.relationships;
-  });
-};
+    return _download(payload, destination, args);
+  };
 
-/**
- * Remove a shared document relationship from a Vault document.
- *
- * @param object document
- * {
- *   id: int id of the vault document we're updating
- *   version_major: int major version number of the document we're updating
- *   version_minor: int minor version number of the document we're updating
- * }
- * @param int relationship_id - id of the shared document relationship to remove
- */
-const removeDocumentRelationship = function(document, relationship_id) {
-  var path = _getRelationshipsPath(document);
-  var payload = extend(_payloadTemplate(), payload, {
-    url: session.host + path + "/" + relationship_id,
-    method: "DELETE"
-  });
-
-  return rp(payload).then(function(result) {
-    _handleError(
-      "removeDocumentRelationship",
-      result,
-      "document_id = " +
-        document.id +
-        ", version_major = " +
-        document.version_major +
-        ", version_minor = " +
-        document.version_minor +
-        ", relationship_id = " +
-        relationship_id
+  /**
+   * Delete a document from Vault.
+   *
+   * Note that we cannot delete documents that are assigned to a binder.
+   *
+   * @param int document_id
+   *   Vault id of the document to delete
+   */
+  const deleteDocument = function(document_id) {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + "objects/documents/" + document_id,
+      method: "DELETE"
+    });
+
+    return _request(payload).then(function(result) {
+      _handleError("deleteDocument", result, "document_id = " + document_id);
+    });
+  };
+
+  /**
+   * Lock (check out) a Vault document.
+   *
+   * @param int document_id
+   *   Vault id of the document to lock
+   */
+  const lockDocument = function(document_id) {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + "objects/documents/" + document_id + "/lock",
+      method: "POST"
+    });
+
+    return _request(payload).then(function(result) {
+      _handleError("lockDocument", result, "document_id = " + document_id);
+    });
+  };
+
+  /**
+   * Unlock (check in) a Vault document.
+   *
+   * @param int document_id
+   *   Vault id of the document to unlock
+   */
+  const unlockDocument = function(document_id) {
+    var payload = extend(_payloadTemplate(), payload, {
+      uri: session.host + "objects/documents/" + document_id + "/lock",
+      method: "DELETE"
+    });
+
+    return _request(payload).then(function(result) {
+      _handleError("unlockDocument", result, "document_id = " + document_id);
+    });
+  };
+
+  /**
+   * Tell the module to be chatty, or not.
+   *
+   * @param boolean show_messages
+   *   - if true (or truthy), all module methods will output their status
+   *   - if false, the module will be silent
+   */
+  var verbose = function(show_messages) {
+    config.verbose = show_messages == true ? true : false;
+  };
+
+  /**
+   * Change module settings.
+   *
+   * @param object options - any of the keys of the config object, e.g.
+   * {
+   *   retries: 5,
+   *   retryDelay: 500
+   * }
+   */
+  var configure = function(options) {
+    Object.keys(options).forEach(function(key) {
+      if (!config.hasOwnProperty(key)) {
+        throw new Error("Unknown vault setting: " + key);
+      }
+      config[key] = options[key];
+    });
+  };
+
+  /**
+   * Make an API request, retrying it if it fails for a passing reason.
+   *
+   * - transient HTTP and network errors, and Vault rate limit responses, are
+   *   retried after a delay that doubles each time (or whatever the server's
+   *   Retry-After header asks for, up to maxRetryDelay); requests that change
+   *   the vault are only retried if they can't have been carried out
+   * - an expired session is renewed by authenticating again with the stored
+   *   credentials, then the request is repeated
+   *
+   * Other results are returned as they are, for _handleError() to judge.
+   *
+   * @param object payload - request options (see _payloadTemplate())
+   * @param int attempt - used internally to count retries
+   */
+  const _request = function(payload, attempt) {
+    attempt = attempt || 0;
+    var retriesLeft = attempt < config.retries;
+
+    return rp(_replayable(payload, attempt)).then(
+      function(result) {
+        var errorType = _errorType(result);
+
+        if (
+          retriesLeft &&
+          session.credentials &&
+          SESSION_ERROR_TYPES.indexOf(errorType) !== -1
+        ) {
+          return _renewSession(payload).then(function() {
+            return _request(payload, attempt + 1);
+          });
+        }
+
+        if (retriesLeft && RATE_LIMIT_ERROR_TYPES.indexOf(errorType) !== -1) {
+          return _retryLater(payload, attempt, errorType);
+        }
+
+        return result;
+      },
+      function(error) {
+        var code = error.cause && error.cause.code;
+
+        if (retriesLeft && _isRetryable(payload, error.statusCode, code)) {
+          return _retryLater(
+            payload,
+            attempt,
+            error.statusCode || code,
+            _retryAfter(error.response)
+          );
+        }
+
+        throw error;
+      }
     );
-  });
-};
+  };
 
-/**
- * Construct the path to a document relationships API call.
- *
- * @param object document e.g.:
- * {
- *   id: int id of the vault document we're updating
- *   version_major: int major version number of the document we're updating
- *   version_minor: int minor version number of the document we're updating
- * }
- *
- * @return string e.g. "objects/documents/123/versions/0/15/relationships"
- */
-const _getRelationshipsPath = function(document) {
-  var path = [
-    "objects",
-    "documents",
-    document.id,
-    "versions",
-    document.version_major,
-    document.version_minor,
-    "relationships"
-  ];
-
-  return path.join("/");
-};
+  /**
+   * Make a download request, and stream the file to `destination`.
+   *
+   * Failures are retried like in _request(). Vault answers a failed download
+   * with a JSON result instead of the file; nothing is written then, and a
+   * download that breaks off halfway deletes what it wrote.
+   *
+   * @param object payload - request options, with json: false
+   * @param string destination - path of the file to write
+   * @param string args - the arguments, for error messages
+   * @param int attempt - used internally to count retries
+   */
+  const _download = function(payload, destination, args, attempt) {
+    attempt = attempt || 0;
+    var retriesLeft = attempt < config.retries;
+    var message = "Error in vault.downloadDocumentFile( " + args + " ): ";
+    var deferred = q.defer();
+    var download = request(payload);
+    var file = null;
+    var again = function(payload, attempt) {
+      return _download(payload, destination, args, attempt);
+    };
+    var fail = function(error) {
+      if (!file) {
+        return deferred.reject(error);
+      }
+      file.destroy();
+      fs.unlink(destination, function() {
+        deferred.reject(error);
+      });
+    };
+
+    download.on("error", function(error) {
+      if (!file && retriesLeft && _isRetryable(payload, null, error.code)) {
+        deferred.resolve(
+          _retryLater(payload, attempt, error.code, null, again)
+        );
+      } else {
+        fail(error);
+      }
+    });
+    download.on("response", function(response) {
+      var content_type = response.headers["content-type"] || "";
+
+      if (
+        response.statusCode !== 200 ||
+        content_type.indexOf("application/json") === 0
+      ) {
+        var body = "";
+        download.on("data", function(chunk) {
+          body += chunk;
+        });
+        download.on("end", function() {
+          var result = null;
+          try {
+            result = JSON.parse(body);
+          } catch (e) {
+            // not a Vault result; judged by the status code below
+          }
+          var errorType = _errorType(result);
+
+          if (
+            retriesLeft &&
+            session.credentials &&
+            SESSION_ERROR_TYPES.indexOf(errorType) !== -1
+          ) {
+            return deferred.resolve(
+              _renewSession(payload).then(function() {
+                return again(payload, attempt + 1);
+              })
+            );
+          }
+          if (retriesLeft && RATE_LIMIT_ERROR_TYPES.indexOf(errorType) !== -1) {
+            return deferred.resolve(
+              _retryLater(payload, attempt, errorType, null, again)
+            );
+          }
+          if (
+            retriesLeft &&
+            response.statusCode !== 200 &&
+            _isRetryable(payload, response.statusCode)
+          ) {
+            return deferred.resolve(
+              _retryLater(
+                payload,
+                attempt,
+                response.statusCode,
+                _retryAfter(response),
+                again
+              )
+            );
+          }
+
+          if (!result) {
+            return deferred.reject(
+              new Error(message + "HTTP " + response.statusCode)
+            );
+          }
+          try {
+            _handleError("downloadDocumentFile", result, args);
+            deferred.reject(new Error(message + "unexpected JSON response"));
+          } catch (e) {
+            deferred.reject(e);
+          }
+        });
+        return;
+      }
 
-/**
- * Retrieve a document from Vault.
- *
- * @param int document_id
- *   Vault id of the document to retrieve
- *
- * @return object Vault object with Vault keys and values for the found document
- */
-const getDocument = function(document_id) {
-  var payload = extend(_payloadTemplate(), payload, {
-    uri: session.host + "objects/documents/" + document_id,
-    method: "GET"
-  });
+      var disposition = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(
+        response.headers["content-disposition"] || ""
+      );
 
-  return rp(payload).then(function(result) {
-    _handleError("getDocument", result, "document_id = " + document_id);
+      file = fs.createWriteStream(destination);
+      response.on("aborted", function() {
+        fail(new Error(message + "the download broke off"));
+      });
+      download
+        .pipe(file)
+        .on("error", fail)
+        .on("finish", function() {
+          _output("vault.downloadDocumentFile( " + args + " ): OK");
+          deferred.resolve({
+            path: destination,
+            filename: disposition ? decodeURIComponent(disposition[1]) : null,
+            content_type: content_type
+          });
+        });
+    });
 
-    return result.document;
-  });
-};
+    return deferred.promise;
+  };
 
-/**
- * Delete a document from Vault.
- *
- * Note that we cannot delete documents that are assigned to a binder.
- *
- * @param int document_id
- *   Vault id of the document to delete
- */
-const deleteDocument = function(document_id) {
-  var payload = extend(_payloadTemplate(), payload, {
-    uri: session.host + "objects/documents/" + document_id,
-    method: "DELETE"
-  });
+  /**
+   * Authenticate again with the stored credentials, after the session
+   * expired, and give the payload the new session ID.
+   *
+   * @param object payload - request options
+   */
+  const _renewSession = function(payload) {
+    _output("vault: session expired, authenticating again");
+    return authenticate(session.credentials).then(function() {
+      payload.headers = extend({}, payload.headers, {
+        Authorization: session.id
+      });
+    });
+  };
 
-  return rp(payload).then(function(result) {
-    _handleError("deleteDocument", result, "document_id = " + document_id);
-  });
+  /**
+   * The delay a Retry-After header asks for, in milliseconds and at most
+   * maxRetryDelay, or null without one.
+   *
+   * @param object response - HTTP response, if any
+   */
+  const _retryAfter = function(response) {
+    var retryAfter = response && Number(response.headers["retry-after"]);
+    return retryAfter
+      ? Math.min(retryAfter * 1000, config.maxRetryDelay)
+      : null;
+  };
 
-};
+  /**
+   * Whether a failed request may be made again.
+   *
+   * A server error or a dropped connection can happen after Vault carried out
+   * the request, and repeating e.g. a document upload would create a second
+   * document. So only safe requests (reads, and queries, which are POSTed) are
+   * retried after those; any request is retried if it was never carried out.
+   *
+   * @param object payload - request options
+   * @param int statusCode - HTTP status of the response, if any
+   * @param string code - network error code, if any
+   */
+  const _isRetryable = function(payload, statusCode, code) {
+    if (
+      NOT_SENT_STATUS_CODES.indexOf(statusCode) !== -1 ||
+      NOT_SENT_ERROR_CODES.indexOf(code) !== -1
+    ) {
+      return true;
+    }
 
-/**
- * Lock (check out) a Vault document.
- *
- * @param int document_id
- *   Vault id of the document to lock
- */
-const lockDocument = function(document_id) {
-  var payload = extend(_payloadTemplate(), payload, {
-    uri: session.host + "objects/documents/" + document_id + "/lock",
-    method: "POST"
-  });
-
-  return rp(payload).then(function(result) {
-    _handleError("lockDocument", result, "document_id = " + document_id);
-  });
-};
+    var safe =
+      SAFE_METHODS.indexOf(payload.method) !== -1 ||
+      /\/query$/.test(payload.uri);
+    return (
+      safe &&
+      (TRANSIENT_STATUS_CODES.indexOf(statusCode) !== -1 ||
+        TRANSIENT_ERROR_CODES.indexOf(code) !== -1)
+    );
+  };
 
-/**
- * Unlock (check in) a Vault document.
- *
- * @param int document_id
- *   Vault id of the document to unlock
- */
-const unlockDocument = function(document_id) {
-  var payload = extend(_payloadTemplate(), payload, {
-    uri: session.host + "objects/documents/" + document_id + "/lock",
-    method: "DELETE"
-  });
-
-  return rp(payload).then(function(result) {
-    _handleError("unlockDocument", result, "document_id = " + document_id);
-  });
-};
+  /**
+   * Wait, then make the request again.
+   *
+   * @param object payload - request options
+   * @param int attempt - the attempt that just failed
+   * @param string reason - for the status message
+   * @param int delay - milliseconds to wait, instead of the calculated backoff
+   * @param function send - (optional) makes the request, given the payload
+   *   and attempt; _request() by default
+   */
+  const _retryLater = function(payload, attempt, reason, delay, send) {
+    if (typeof delay !== "number") {
+      delay = Math.min(
+        config.retryDelay * Math.pow(2, attempt),
+        config.maxRetryDelay
+      );
+    }
 
-/**
- * Tell the module to be chatty, or not.
- *
- * @param boolean show_messages
- *   - if true (or truthy), all module methods will output their status
- *   - if false, the module will be silent
- */
-var verbose = function(show_messages) {
-  config.verbose = show_messages == true ? true : false;
-};
+    _output(
+      "vault: " +
+        reason +
+        ", retrying in " +
+        delay +
+        "ms (" +
+        (attempt + 1) +
+        "/" +
+        config.retries +
+        ")"
+    );
 
-/**
- * Define the default REST API payload.
- *
- * Each API call in this library extends this payload for the specific API
- * call requirements.
- *
- * @param object session
- * {
- *   id: "session-id-string",
- *   host: "https://domain.com/url/"
- * }
- */
-const _payloadTemplate = function() {
-  return {
-    method: "GET",
-    headers: {
-      Authorization: session.id
-    },
-    json: true
+    return q.delay(delay).then(function() {
+      return (send || _request)(payload, attempt + 1);
+    });
   };
-};
 
-/**
- * Evaluate a Veeva REST API result object.
- *
- * If it was not successful, throw an error message.
- *
- * @param string method - name of method where the API call was called
- * @param object result - JSON object returned from the API call
- */
-const _handleError = function(method, result, args) {
-  var args_message = "(";
-  args_message += typeof args === "string" ? " " + args + " " : "";
-  args_message += ")";
-
-  if (result.responseStatus !== "SUCCESS") {
-    var message = "Error in vault." + method + args_message + ": ";
-
-    if (typeof result.responseMessage != "undefined") {
-      throw new Error(message + result.responseMessage);
-    } else if (typeof result.errors != "undefined") {
-      _output(message, result.errors);
-      throw new Error(message + "Aborting");
+  /**
+   * Get the type of the first error in a Vault FAILURE response, if any.
+   */
+  const _errorType = function(result) {
+    if (
+      result &&
+      result.responseStatus === "FAILURE" &&
+      Array.isArray(result.errors) &&
+      result.errors.length > 0
+    ) {
+      return result.errors[0].type;
+    }
+    return null;
+  };
+
+  /**
+   * Prepare a payload for sending.
+   *
+   * A file stream can only be read once, so when a request is repeated, any
+   * file streams in its form data are replaced by fresh ones.
+   *
+   * @param object payload - request options
+   * @param int attempt - 0 for the first try
+   */
+  const _replayable = function(payload, attempt) {
+    if (attempt === 0 || !payload.formData) {
+      return payload;
+    }
+
+    var formData = {};
+    Object.keys(payload.formData).forEach(function(key) {
+      var value = payload.formData[key];
+      formData[key] =
+        value instanceof fs.ReadStream
+          ? fs.createReadStream(value.path)
+          : value;
+    });
+
+    return extend({}, payload, { formData: formData });
+  };
+
+  /**
+   * Define the default REST API payload.
+   *
+   * Each API call in this library extends this payload for the specific API
+   * call requirements.
+   *
+   * @param object session
+   * {
+   *   id: "session-id-string",
+   *   host: "https://domain.com/url/"
+   * }
+   */
+  const _payloadTemplate = function() {
+    return extend(true, {}, config.http, {
+      method: "GET",
+      headers: {
+        Authorization: session.id
+      },
+      json: true
+    });
+  };
+
+  /**
+   * Evaluate a Veeva REST API result object.
+   *
+   * If it was not successful, throw an error message.
+   *
+   * @param string method - name of method where the API call was called
+   * @param object result - JSON object returned from the API call
+   */
+  const _handleError = function(method, result, args) {
+    var args_message = "(";
+    args_message += typeof args === "string" ? " " + args + " " : "";
+    args_message += ")";
+
+    if (result.responseStatus !== "SUCCESS") {
+      var message = "Error in vault." + method + args_message + ": ";
+
+      if (typeof result.responseMessage != "undefined") {
+        throw new Error(message + result.responseMessage);
+      } else if (typeof result.errors != "undefined") {
+        _output(message, result.errors);
+        throw new Error(message + "Aborting");
+      } else {
+        throw new Error(message + "Aborting");
+      }
     } else {
-      throw new Error(message + "Aborting");
+      var message = "vault." + method + args_message + ": OK";
+      _output(message);
     }
-  } else {
-    var message = "vault." + method + args_message + ": OK";
-    _output(message);
-  }
-};
+  };
 
-/**
- * Output a status message.
- *
- * Messages are only output if the module is configured to be 'verbose'.
- */
-const _output = function(message) {
-  if (config.verbose === true) {
-    console.log(message);
+  /**
+   * Output a status message.
+   *
+   * Messages are only output if the module is configured to be 'verbose'.
+   */
+  const _output = function(message) {
+    if (config.verbose === true) {
+      console.log(message);
+    }
+  };
+
+  /**
+   * Define the public API.
+   */
+  const client = {
+    authenticate: authenticate,
+
+    query: query,
+    queryIterator: queryIterator,
+    quoteVQL: quoteVQL,
+
+    getVaultObjects: getVaultObjects,
+    getProducts: getProducts,
+    getCountries: getCountries,
+
+    getBinders: getBinders,
+    getBinder: getBinder,
+    createBinder: createBinder,
+    updateBinder: updateBinder,
+    deleteBinder: deleteBinder,
+
+    getBinderDocuments: getBinderDocuments,
+    setBinderDocuments: setBinderDocuments,
+    removeBinderDocuments: removeBinderDocuments,
+
+    getDocumentTypes: getDocumentTypes,
+    getDocumentType: getDocumentType,
+
+    getDocument: getDocument,
+    getDocumentVersions: getDocumentVersions,
+    getDocumentVersion: getDocumentVersion,
+    downloadDocumentFile: downloadDocumentFile,
+    createDocument: createDocument,
+    updateDocument: updateDocument,
+    updateDocumentFile: updateDocumentFile,
+    deleteDocument: deleteDocument,
+    lockDocument: lockDocument,
+    unlockDocument: unlockDocument,
+
+    getDocumentRelationships: getDocumentRelationships,
+    createDocumentRelationship: createDocumentRelationship,
+    removeDocumentRelationship: removeDocumentRelationship,
+
+    getDocumentActions: getDocumentActions,
+    runDocumentAction: runDocumentAction,
+
+    verbose: verbose,
+    configure: configure
+  };
+
+  if (options) {
+    configure(options);
   }
+
+  return client;
 };
 
 /**
- * Define the public API.
+ * The default client, for code that only talks to one vault.
  */
-const vault = {
-  authenticate: authenticate,
-
-  getVaultObjects: getVaultObjects,
-  getProducts: getProducts,
-  getCountries: getCountries,
-
-  getBinders: getBinders,
-  getBinder: getBinder,
-  createBinder: createBinder,
-  updateBinder: updateBinder,
-  deleteBinder: deleteBinder,
-
-  getBinderDocuments: getBinderDocuments,
-  setBinderDocuments: setBinderDocuments,
-  removeBinderDocuments: removeBinderDocuments,
-
-  getDocument: getDocument,
-  createDocument: createDocument,
-  updateDocument: updateDocument,
-  updateDocumentFile: updateDocumentFile,
-  deleteDocument: deleteDocument,
-  lockDocument: lockDocument,
-  unlockDocument: unlockDocument,
-
-  getDocumentRelationships: getDocumentRelationships,
-  createDocumentRelationship: createDocumentRelationship,
-  removeDocumentRelationship: removeDocumentRelationship,
-
-  verbose: verbose
-};
+const vault = createClient();
+vault.createClient = createClient;
+vault.normalizeHost = normalizeHost;
 
 module.exports = vault;